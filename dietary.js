@@ -0,0 +1,127 @@
+/**
+ * Dietas, alérgenos y etiquetado de recetas a partir de sus ingredientes, compartidos entre el
+ * servidor y los scripts de la carpeta `prisma`.
+ */
+
+import { normalizeIngredientKey } from "./ingredients.js";
+
+// Alérgenos que se detectan en las recetas, con el nombre que se muestra al usuario.
+export const ALLERGENS = {
+  gluten: "Gluten",
+  dairy: "Lácteos",
+  egg: "Huevo",
+  fish: "Pescado",
+  shellfish: "Mariscos",
+  "tree-nuts": "Frutos secos",
+  peanuts: "Cacahuete",
+  soy: "Soja",
+  sesame: "Sésamo",
+};
+
+// Dietas admitidas en el perfil, con el nombre que se muestra y las etiquetas de ingrediente
+// que no pueden aparecer en una receta apta para esa dieta.
+export const DIETS = {
+  vegetarian: { name: "Vegetariana", excludes: ["meat", "fish", "shellfish"] },
+  vegan: { name: "Vegana", excludes: ["meat", "fish", "shellfish", "dairy", "egg", "honey"] },
+  pescatarian: { name: "Pescetariana", excludes: ["meat"] },
+  "gluten-free": { name: "Sin gluten", excludes: ["gluten"] },
+  "dairy-free": { name: "Sin lácteos", excludes: ["dairy"] },
+};
+
+/**
+ * Palabras que delatan cada etiqueta en el nombre de un ingrediente. Además de los alérgenos,
+ * `meat` y `honey` sirven para decidir las dietas. `unless` recoge expresiones que anulan la
+ * etiqueta ("leche de almendra" no lleva lácteos). Se comparan palabras completas sobre la clave
+ * normalizada, así que los plurales y las tildes no hace falta listarlos.
+ */
+const TAG_RULES = [
+  {
+    tag: "meat",
+    words: [
+      "pollo", "carne", "res", "ternera", "cerdo", "jamón", "tocino", "panceta", "beicon", "chorizo",
+      "salchicha", "salchichón", "longaniza", "morcilla", "pavo", "cordero", "conejo", "pato", "chuleta",
+      "costilla", "hamburguesa", "gelatina",
+    ],
+  },
+  {
+    tag: "fish",
+    words: [
+      "pescado", "atún", "salmón", "merluza", "bacalao", "sardina", "anchoa", "boquerón", "trucha",
+      "caballa", "dorada", "lubina", "pez espada",
+    ],
+  },
+  {
+    tag: "shellfish",
+    words: [
+      "marisco", "camarón", "gamba", "langostino", "langosta", "cangrejo", "mejillón", "almeja", "ostra",
+      "calamar", "pulpo", "sepia", "vieira",
+    ],
+  },
+  {
+    tag: "dairy",
+    words: [
+      "leche", "queso", "yogur", "mantequilla", "nata", "crema", "requesón", "kéfir", "suero de leche",
+      "ghee", "mozzarella", "parmesano", "ricotta",
+    ],
+    unless: [
+      "leche de almendra", "leche de soja", "leche de soya", "leche de avena", "leche de coco",
+      "leche de arroz", "mantequilla de cacahuete", "mantequilla de maní", "crema de cacahuete",
+      "crema de maní",
+    ],
+  },
+  { tag: "egg", words: ["huevo", "clara", "yema", "mayonesa"] },
+  {
+    tag: "gluten",
+    words: [
+      "trigo", "harina", "pan", "pasta", "espagueti", "macarrones", "fideo", "tallarín", "cebada",
+      "centeno", "avena", "cuscús", "bulgur", "seitán", "galleta", "salsa de soja",
+    ],
+    unless: ["sin gluten", "harina de maíz", "harina de arroz", "harina de garbanzo", "harina de almendra", "harina de coco"],
+  },
+  {
+    tag: "tree-nuts",
+    words: ["nuez", "almendra", "avellana", "pistacho", "anacardo", "marañón", "pecana", "macadamia", "castaña"],
+  },
+  { tag: "peanuts", words: ["cacahuete", "maní"] },
+  { tag: "soy", words: ["soja", "soya", "tofu", "edamame", "tempeh", "miso"] },
+  { tag: "sesame", words: ["sésamo", "ajonjolí", "tahini", "tahín"] },
+  { tag: "honey", words: ["miel"] },
+].map(rule => ({
+  tag: rule.tag,
+  words: rule.words.map(normalizeIngredientKey),
+  unless: (rule.unless || []).map(normalizeIngredientKey),
+}));
+
+/**
+ * Indica si una clave normalizada contiene una expresión como palabras completas
+ * ("pan integral" contiene "pan", pero "papa" no).
+ * @param {string} key La clave normalizada del ingrediente.
+ * @param {string} phrase La expresión, también normalizada.
+ * @returns {boolean} true si la contiene.
+ */
+const containsPhrase = (key, phrase) => ` ${key} `.includes(` ${phrase} `);
+
+/**
+ * Calcula los alérgenos de una receta y las dietas para las que es apta a partir de los nombres
+ * de sus ingredientes. Es una estimación: un ingrediente que no delata ninguna etiqueta se
+ * considera apto para todas las dietas.
+ * @param {Array<{name: string}>} ingredients Los ingredientes de la receta.
+ * @returns {{allergens: string[], diets: string[]}} Las claves de `ALLERGENS` presentes y las de
+ *   `DIETS` compatibles, en el orden en que se declaran.
+ */
+export const deriveDietaryTags = (ingredients) => {
+  const tags = new Set();
+  for (const { name } of ingredients) {
+    const key = normalizeIngredientKey(name);
+    for (const rule of TAG_RULES) {
+      if (rule.words.some(word => containsPhrase(key, word)) && !rule.unless.some(phrase => containsPhrase(key, phrase))) {
+        tags.add(rule.tag);
+      }
+    }
+  }
+
+  return {
+    allergens: Object.keys(ALLERGENS).filter(allergen => tags.has(allergen)),
+    diets: Object.keys(DIETS).filter(diet => !DIETS[diet].excludes.some(tag => tags.has(tag))),
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * Utilidades para generar calendarios en formato iCalendar (RFC 5545), usadas por las
+ * exportaciones del planificador.
+ */
+
+/**
+ * Escapa un texto para una propiedad de iCalendar (RFC 5545, sección 3.3.11).
+ * @param {string} value El texto.
+ * @returns {string} El texto escapado.
+ */
+export const escapeIcsText = (value) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Pliega una línea de iCalendar en líneas de como máximo 75 octetos, como exige la RFC 5545.
+ * @param {string} line La línea completa.
+ * @returns {string} La línea plegada, terminada en CRLF.
+ */
+export const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // Las continuaciones empiezan con un espacio.
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ') + '\r\n';
+};
@@ -0,0 +1,165 @@
+/**
+ * Catálogo canónico de ingredientes y normalización de nombres, compartidos entre el servidor
+ * y los scripts de la carpeta `prisma`.
+ */
+
+// Categorías con las que se agrupan los ingredientes del catálogo.
+export const INGREDIENT_CATEGORIES = [
+  "verduras",
+  "frutas",
+  "carnes",
+  "pescados",
+  "huevos y lácteos",
+  "legumbres",
+  "cereales",
+  "panadería",
+  "aceites",
+  "especias",
+];
+
+/**
+ * Ingredientes canónicos iniciales. `aliases` recoge sinónimos regionales y otras formas de
+ * escribir el mismo ingrediente; los plurales y las tildes no hace falta listarlos, porque
+ * `normalizeIngredientKey` ya los unifica.
+ */
+export const INGREDIENT_CATALOG = [
+  { name: "pollo", category: "carnes", aliases: ["pechuga de pollo"] },
+  { name: "lechuga", category: "verduras", aliases: [] },
+  { name: "tomate", category: "verduras", aliases: ["jitomate"] },
+  { name: "pepino", category: "verduras", aliases: [] },
+  { name: "huevo", category: "huevos y lácteos", aliases: [] },
+  { name: "espinaca", category: "verduras", aliases: [] },
+  { name: "cebolla", category: "verduras", aliases: ["cebolla blanca", "cebolla cabezona"] },
+  { name: "lentejas", category: "legumbres", aliases: [] },
+  { name: "zanahoria", category: "verduras", aliases: [] },
+  { name: "papa", category: "verduras", aliases: ["patata"] },
+  { name: "avena", category: "cereales", aliases: ["avena en hojuelas", "copos de avena"] },
+  { name: "banana", category: "frutas", aliases: ["plátano", "banano", "cambur", "guineo"] },
+  { name: "frutos rojos", category: "frutas", aliases: ["bayas", "frutos del bosque"] },
+  { name: "leche", category: "huevos y lácteos", aliases: [] },
+  { name: "quinoa", category: "cereales", aliases: ["quinua"] },
+  { name: "brócoli", category: "verduras", aliases: ["brécol"] },
+  { name: "pimiento", category: "verduras", aliases: ["pimentón", "morrón", "ají dulce"] },
+  { name: "pasta", category: "cereales", aliases: ["espagueti", "macarrones"] },
+  { name: "atún", category: "pescados", aliases: ["atún en lata"] },
+  { name: "aceite de oliva", category: "aceites", aliases: [] },
+  { name: "manzana verde", category: "frutas", aliases: [] },
+  { name: "limón", category: "frutas", aliases: [] },
+  { name: "jengibre", category: "especias", aliases: ["kion"] },
+  { name: "pan integral", category: "panadería", aliases: [] },
+  { name: "aguacate", category: "frutas", aliases: ["palta"] },
+];
+
+// Palabras que las reglas de `singularize` no resuelven bien, con su forma singular. Incluye
+// las que terminan en "s" sin ser plurales ("anís") y los plurales en "-ces" que no vienen de "-z".
+const SINGULAR_EXCEPTIONS = new Map([
+  ["anis", "anis"],
+  ["cuscus", "cuscus"],
+  ["ananas", "ananas"],
+  ["dulces", "dulce"],
+]);
+
+/**
+ * Pasa una palabra española a singular con reglas sencillas: "tomates" -> "tomate",
+ * "limones" -> "limon", "nueces" -> "nuez". Las palabras de `SINGULAR_EXCEPTIONS` se devuelven
+ * tal como allí se indica y los demás casos especiales ("chiles") se cubren con alias.
+ * Las palabras muy cortas se dejan intactas para no romper casos como "res" o "gas".
+ * @param {string} word La palabra ya en minúsculas y sin tildes.
+ * @returns {string} La palabra en singular.
+ */
+export const singularize = (word) => {
+  if (SINGULAR_EXCEPTIONS.has(word)) {
+    return SINGULAR_EXCEPTIONS.get(word);
+  }
+  if (word.length <= 3 || !word.endsWith("s")) {
+    return word;
+  }
+  if (word.endsWith("ces")) {
+    return `${word.slice(0, -3)}z`;
+  }
+  if (/[lnrdjy]es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  return word.slice(0, -1);
+};
+
+/**
+ * Calcula la clave normalizada de un nombre de ingrediente: minúsculas, sin tildes, sin
+ * espacios sobrantes y con cada palabra en singular. Dos nombres con la misma clave se
+ * consideran el mismo ingrediente ("Tomates ", "tomate" y "tomáte" -> "tomate").
+ * @param {string} name El nombre del ingrediente.
+ * @returns {string} La clave normalizada.
+ */
+export const normalizeIngredientKey = (name) => {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim()
+    .split(/\s+/)
+    .map(singularize)
+    .join(" ");
+};
+
+/**
+ * Carga el catálogo `INGREDIENT_CATALOG` en la base de datos. Es idempotente: los ingredientes y
+ * alias que ya existen solo se actualizan, así que puede ejecutarse tanto en la siembra como al
+ * enlazar una base de datos existente.
+ * @param {import('@prisma/client').PrismaClient} prisma El cliente de Prisma.
+ * @returns {Promise<Map<string, number>>} El id de cada ingrediente canónico, indexado por su clave.
+ */
+export const loadIngredientCatalog = async (prisma) => {
+  const idsByKey = new Map();
+
+  for (const { name, category, aliases } of INGREDIENT_CATALOG) {
+    const key = normalizeIngredientKey(name);
+    const canonical = await prisma.canonicalIngredient.upsert({
+      where: { key },
+      update: { name, category },
+      create: { key, name, category },
+    });
+    idsByKey.set(key, canonical.id);
+
+    for (const alias of aliases) {
+      const aliasKey = normalizeIngredientKey(alias);
+      await prisma.ingredientAlias.upsert({
+        where: { key: aliasKey },
+        update: { name: alias, canonicalId: canonical.id },
+        create: { key: aliasKey, name: alias, canonicalId: canonical.id },
+      });
+      idsByKey.set(aliasKey, canonical.id);
+    }
+  }
+
+  return idsByKey;
+};
+
+/**
+ * Busca el ingrediente canónico de cada nombre, ya sea por su propia clave normalizada o por
+ * la de alguno de sus alias. El catálogo solo se amplía con datos revisados (`INGREDIENT_CATALOG`),
+ * así que los nombres que no están en él se quedan sin ingrediente canónico y se comparan por
+ * su propia clave.
+ * @param {string[]} names Los nombres de ingrediente tal como los escribió el usuario.
+ * @param {import('@prisma/client').PrismaClient} client El cliente de Prisma o el de una
+ *   transacción en curso.
+ * @returns {Promise<Map<string, {id: number, name: string}>>} El ingrediente canónico de cada
+ *   nombre encontrado, indexado por su clave normalizada (`normalizeIngredientKey`).
+ */
+export const resolveCanonicalIngredients = async (names, client) => {
+  const keys = [...new Set(names.map(normalizeIngredientKey))];
+  const resolved = new Map();
+
+  const aliases = await client.ingredientAlias.findMany({
+    where: { key: { in: keys } },
+    select: { key: true, canonical: { select: { id: true, name: true } } },
+  });
+  aliases.forEach(alias => resolved.set(alias.key, alias.canonical));
+
+  const canonicals = await client.canonicalIngredient.findMany({
+    where: { key: { in: keys } },
+    select: { id: true, name: true, key: true },
+  });
+  canonicals.forEach(({ key, ...canonical }) => resolved.set(key, canonical));
+
+  return resolved;
+};
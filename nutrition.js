@@ -0,0 +1,133 @@
+/**
+ * Datos y cálculos nutricionales compartidos entre el servidor y el script de siembra.
+ */
+
+import { normalizeIngredientKey } from "./ingredients.js";
+
+// Equivalencias en mililitros de las medidas de cocina.
+export const KITCHEN_UNITS_ML = {
+  taza: 240,
+  cucharada: 15,
+  cucharadita: 5,
+};
+
+// Nutrientes que se guardan por receta además de las calorías.
+// Todos se expresan en gramos, excepto el sodio, que se expresa en miligramos.
+export const NUTRIENT_FIELDS = ["protein", "carbs", "fat", "fiber", "sugar", "sodium"];
+
+/**
+ * Tabla local de composición nutricional por cada 100 g de ingrediente.
+ * `gramsPerUnit` es el peso aproximado de una unidad (una pieza, una rebanada, una lata) y
+ * `gramsPerCup` el de una taza; si falta este último se asume la densidad del agua (1 g/ml).
+ */
+export const INGREDIENT_NUTRITION = [
+  { name: "pollo", kcal: 165, protein: 31, carbs: 0, fat: 3.6, fiber: 0, sugar: 0, sodium: 74, gramsPerUnit: 170 },
+  { name: "lechuga", kcal: 15, protein: 1.4, carbs: 2.9, fat: 0.2, fiber: 1.3, sugar: 0.8, sodium: 28, gramsPerUnit: 360, gramsPerCup: 36 },
+  { name: "tomate", kcal: 18, protein: 0.9, carbs: 3.9, fat: 0.2, fiber: 1.2, sugar: 2.6, sodium: 5, gramsPerUnit: 123, gramsPerCup: 180 },
+  { name: "pepino", kcal: 15, protein: 0.7, carbs: 3.6, fat: 0.1, fiber: 0.5, sugar: 1.7, sodium: 2, gramsPerUnit: 300, gramsPerCup: 120 },
+  { name: "huevo", kcal: 143, protein: 12.6, carbs: 0.7, fat: 9.5, fiber: 0, sugar: 0.4, sodium: 142, gramsPerUnit: 50 },
+  { name: "espinaca", kcal: 23, protein: 2.9, carbs: 3.6, fat: 0.4, fiber: 2.2, sugar: 0.4, sodium: 79, gramsPerCup: 30 },
+  { name: "cebolla", kcal: 40, protein: 1.1, carbs: 9.3, fat: 0.1, fiber: 1.7, sugar: 4.2, sodium: 4, gramsPerUnit: 110, gramsPerCup: 160 },
+  { name: "lentejas", kcal: 352, protein: 24.6, carbs: 63.4, fat: 1.1, fiber: 10.7, sugar: 2, sodium: 6, gramsPerCup: 192 },
+  { name: "zanahoria", kcal: 41, protein: 0.9, carbs: 9.6, fat: 0.2, fiber: 2.8, sugar: 4.7, sodium: 69, gramsPerUnit: 61, gramsPerCup: 128 },
+  { name: "papa", kcal: 77, protein: 2, carbs: 17, fat: 0.1, fiber: 2.2, sugar: 0.8, sodium: 6, gramsPerUnit: 213, gramsPerCup: 150 },
+  { name: "avena", kcal: 389, protein: 16.9, carbs: 66.3, fat: 6.9, fiber: 10.6, sugar: 0, sodium: 2, gramsPerCup: 81 },
+  { name: "banana", kcal: 89, protein: 1.1, carbs: 22.8, fat: 0.3, fiber: 2.6, sugar: 12.2, sodium: 1, gramsPerUnit: 118, gramsPerCup: 150 },
+  { name: "frutos rojos", kcal: 57, protein: 0.7, carbs: 14.5, fat: 0.3, fiber: 2.4, sugar: 10, sodium: 1, gramsPerCup: 148 },
+  { name: "leche", kcal: 61, protein: 3.2, carbs: 4.8, fat: 3.3, fiber: 0, sugar: 5.1, sodium: 43, gramsPerCup: 244 },
+  { name: "quinoa", kcal: 368, protein: 14.1, carbs: 64.2, fat: 6.1, fiber: 7, sugar: 0, sodium: 5, gramsPerCup: 170 },
+  { name: "brócoli", kcal: 34, protein: 2.8, carbs: 6.6, fat: 0.4, fiber: 2.6, sugar: 1.7, sodium: 33, gramsPerUnit: 150, gramsPerCup: 91 },
+  { name: "pimiento", kcal: 31, protein: 1, carbs: 6, fat: 0.3, fiber: 2.1, sugar: 4.2, sodium: 4, gramsPerUnit: 119, gramsPerCup: 149 },
+  { name: "pasta", kcal: 371, protein: 13, carbs: 75, fat: 1.5, fiber: 3.2, sugar: 2.7, sodium: 6, gramsPerCup: 100 },
+  { name: "atún", kcal: 116, protein: 25.5, carbs: 0, fat: 0.8, fiber: 0, sugar: 0, sodium: 247, gramsPerUnit: 120 },
+  { name: "aceite de oliva", kcal: 884, protein: 0, carbs: 0, fat: 100, fiber: 0, sugar: 0, sodium: 2, gramsPerCup: 216 },
+  { name: "manzana verde", kcal: 52, protein: 0.4, carbs: 13.8, fat: 0.2, fiber: 2.4, sugar: 10.4, sodium: 1, gramsPerUnit: 182 },
+  { name: "limón", kcal: 29, protein: 1.1, carbs: 9.3, fat: 0.3, fiber: 2.8, sugar: 2.5, sodium: 2, gramsPerUnit: 58 },
+  { name: "jengibre", kcal: 80, protein: 1.8, carbs: 17.8, fat: 0.8, fiber: 2, sugar: 1.7, sodium: 13, gramsPerUnit: 11 },
+  { name: "pan integral", kcal: 247, protein: 13, carbs: 41, fat: 3.4, fiber: 7, sugar: 6, sodium: 400, gramsPerUnit: 32 },
+  { name: "aguacate", kcal: 160, protein: 2, carbs: 8.5, fat: 14.7, fiber: 6.7, sugar: 0.7, sodium: 7, gramsPerUnit: 150, gramsPerCup: 150 },
+];
+
+/**
+ * Convierte la cantidad de un ingrediente a gramos.
+ * @param {{quantity: number|null, unit: string|null}} ingredient El ingrediente de la receta.
+ * @param {{gramsPerUnit?: number|null, gramsPerCup?: number|null}} reference Su fila en la tabla nutricional.
+ * @returns {number|null} Los gramos, o null si no es posible calcularlos.
+ */
+const toGrams = ({ quantity, unit }, reference) => {
+  if (quantity === null || quantity === undefined) {
+    return null;
+  }
+
+  const gramsPerMl = reference.gramsPerCup ? reference.gramsPerCup / KITCHEN_UNITS_ML.taza : 1;
+  switch (unit) {
+    case "g":
+      return quantity;
+    case "kg":
+      return quantity * 1000;
+    case "ml":
+      return quantity * gramsPerMl;
+    case "l":
+      return quantity * 1000 * gramsPerMl;
+    case "taza":
+    case "cucharada":
+    case "cucharadita":
+      return quantity * KITCHEN_UNITS_ML[unit] * gramsPerMl;
+    case "unidad":
+      return reference.gramsPerUnit ? quantity * reference.gramsPerUnit : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Calcula los nutrientes de una receta a partir de las cantidades de sus ingredientes.
+ * Los ingredientes sin cantidad o sin fila en la tabla no aportan nada al total. Los nombres se
+ * comparan por su clave normalizada, así que "Tomates" usa la fila de "tomate".
+ * @param {Array<{name: string, quantity: number|null, unit: string|null}>} ingredients Los ingredientes de la receta.
+ * @param {Array<object>} table Las filas de la tabla nutricional (ver `INGREDIENT_NUTRITION`).
+ * @returns {object|null} Un objeto con un valor por cada campo de `NUTRIENT_FIELDS`,
+ *   o null si ningún ingrediente pudo calcularse.
+ */
+export const computeNutrition = (ingredients, table) => {
+  const byName = new Map(table.map(row => [normalizeIngredientKey(row.name), row]));
+  const totals = Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, 0]));
+  let matched = 0;
+
+  for (const ingredient of ingredients) {
+    const reference = byName.get(normalizeIngredientKey(ingredient.name));
+    const grams = reference ? toGrams(ingredient, reference) : null;
+    if (grams === null) {
+      continue;
+    }
+    matched++;
+    for (const field of NUTRIENT_FIELDS) {
+      totals[field] += (reference[field] * grams) / 100;
+    }
+  }
+
+  if (matched === 0) {
+    return null;
+  }
+  return Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, Math.round(totals[field] * 10) / 10]));
+};
+
+/**
+ * Suma las calorías y los nutrientes de una lista de recetas.
+ * Los nutrientes desconocidos (null) se cuentan como cero.
+ * @param {Array<object>} recipes Las recetas, con `kcal` y los campos de `NUTRIENT_FIELDS`.
+ * @returns {object} Un objeto con `kcal` y un total por cada nutriente.
+ */
+export const sumNutrition = (recipes) => {
+  const totals = { kcal: 0, ...Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, 0])) };
+  for (const recipe of recipes) {
+    totals.kcal += recipe.kcal;
+    for (const field of NUTRIENT_FIELDS) {
+      totals[field] += recipe[field] ?? 0;
+    }
+  }
+  for (const field of NUTRIENT_FIELDS) {
+    totals[field] = Math.round(totals[field] * 10) / 10;
+  }
+  return totals;
+};
@@ -0,0 +1,62 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { PrismaClient } from '@prisma/client';
+import { csvRowToJsonLd, findRecipeNodes, parseCsv } from '../recipe-jsonld.js';
+import { importRecipes } from '../recipe-input.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Script de importación de recetas en formato schema.org `Recipe` (JSON-LD).
+ * Uso: `npm run recipes:import -- --author correo@ejemplo.com recetas.json [otras.csv ...]`
+ * Acepta archivos `.json` (un documento, una lista o un `@graph`) y `.csv` (una receta por fila,
+ * ver `csvRowToJsonLd`). Las recetas se validan y se crean igual que en `POST /api/recipes/import`
+ * (ver `importRecipes`), todas en una sola transacción; las inválidas y las que repiten el título
+ * de otra receta del autor se omiten.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const authorIndex = args.indexOf('--author');
+  const email = authorIndex !== -1 ? args[authorIndex + 1] : null;
+  const files = args.filter((_, index) => index !== authorIndex && index !== authorIndex + 1);
+
+  if (!email || files.length === 0) {
+    console.error('Uso: npm run recipes:import -- --author <correo> <archivo.json|archivo.csv> ...');
+    process.exit(1);
+  }
+
+  const author = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+  if (!author) {
+    console.error(`No existe ningún usuario con el correo ${email}.`);
+    process.exit(1);
+  }
+
+  const nodes = [];
+  for (const file of files) {
+    const content = await readFile(file, 'utf8');
+    const found = path.extname(file).toLowerCase() === '.csv'
+      ? parseCsv(content).map(csvRowToJsonLd)
+      : findRecipeNodes(JSON.parse(content));
+    console.log(`${file}: ${found.length} recetas encontradas.`);
+    nodes.push(...found);
+  }
+
+  const { created, duplicates, invalid } = await importRecipes(prisma, author.id, nodes);
+  for (const { title, errors } of invalid) {
+    console.warn(`Omitida "${title || '(sin nombre)'}": ${errors.join(' ')}`);
+  }
+  for (const { title } of duplicates) {
+    console.warn(`Omitida "${title}": el autor ya tiene una receta con ese título.`);
+  }
+
+  console.log(`¡Importación completada! ${created.length} de ${nodes.length} recetas creadas.`);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error durante la importación:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
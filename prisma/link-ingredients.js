@@ -0,0 +1,81 @@
+import { PrismaClient } from '@prisma/client';
+import { loadIngredientCatalog, normalizeIngredientKey } from '../ingredients.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Script de mantenimiento: carga el catálogo de ingredientes canónicos y enlaza con él los
+ * ingredientes de recetas y de despensas que todavía no tienen `canonicalId`, por ejemplo los
+ * creados antes de que existiera el catálogo. Los nombres que no aparecen en el catálogo ni entre
+ * sus alias se quedan sin enlazar: el catálogo solo se amplía editando `INGREDIENT_CATALOG`.
+ * También rellena la clave normalizada (`key`) de los ingredientes de recetas que no la tienen.
+ * Forma parte de `npm run deploy`. Se puede ejecutar varias veces sin efectos secundarios: `npm run ingredients:link`.
+ */
+async function main() {
+  console.log('Cargando el catálogo de ingredientes...');
+  const idsByKey = await loadIngredientCatalog(prisma);
+
+  const [ingredients, pantryItems] = await Promise.all([
+    prisma.ingredient.findMany({
+      where: { OR: [{ canonicalId: null }, { key: null }] },
+      select: { id: true, name: true, canonicalId: true },
+    }),
+    prisma.userPantryItem.findMany({
+      where: { canonicalId: null },
+      select: { id: true, userId: true, ingredientName: true },
+      orderBy: { id: 'asc' },
+    }),
+  ]);
+
+  /**
+   * Devuelve el id canónico de un nombre, o null si no está en el catálogo.
+   * @param {string} name El nombre del ingrediente.
+   * @returns {number|null} El id del ingrediente canónico.
+   */
+  const canonicalIdFor = (name) => idsByKey.get(normalizeIngredientKey(name)) ?? null;
+
+  console.log(`Enlazando ${ingredients.length} ingredientes de recetas...`);
+  for (const ingredient of ingredients) {
+    await prisma.ingredient.update({
+      where: { id: ingredient.id },
+      data: {
+        key: normalizeIngredientKey(ingredient.name),
+        canonicalId: ingredient.canonicalId ?? canonicalIdFor(ingredient.name),
+      },
+    });
+  }
+
+  // Un ingrediente canónico solo puede estar una vez en cada despensa: si el usuario ya lo tiene
+  // con otro nombre ("papa" y "patata"), el elemento sin enlazar sobra y se elimina.
+  const linkedPantry = await prisma.userPantryItem.findMany({
+    where: { canonicalId: { not: null } },
+    select: { userId: true, canonicalId: true },
+  });
+  const pantryKeys = new Set(linkedPantry.map(item => `${item.userId}:${item.canonicalId}`));
+
+  console.log(`Enlazando ${pantryItems.length} ingredientes de despensas...`);
+  for (const item of pantryItems) {
+    const canonicalId = canonicalIdFor(item.ingredientName);
+    if (canonicalId === null) {
+      continue;
+    }
+    const pantryKey = `${item.userId}:${canonicalId}`;
+    if (pantryKeys.has(pantryKey)) {
+      await prisma.userPantryItem.delete({ where: { id: item.id } });
+    } else {
+      await prisma.userPantryItem.update({ where: { id: item.id }, data: { canonicalId } });
+      pantryKeys.add(pantryKey);
+    }
+  }
+
+  console.log('¡Ingredientes enlazados con el catálogo!');
+}
+
+main()
+  .catch((e) => {
+    console.error('Error al enlazar los ingredientes:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "recipes" ADD COLUMN     "prepMinutes" INTEGER;
+
+-- Rellena los minutos de preparación a partir del texto existente ("20 min", "1 h 30 min").
+UPDATE "recipes"
+SET "prepMinutes" = COALESCE(CAST(substring("time" from '(\d+)\s*h') AS INTEGER) * 60, 0)
+                  + COALESCE(CAST(substring("time" from '(\d+)\s*min') AS INTEGER), 0)
+WHERE "time" ~* '\d+\s*(h|min)';
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "ingredients" ADD COLUMN     "note" TEXT,
+ADD COLUMN     "quantity" DOUBLE PRECISION,
+ADD COLUMN     "unit" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "recipes" ADD COLUMN     "servings" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "recipes" ADD COLUMN     "carbs" DOUBLE PRECISION,
+ADD COLUMN     "fat" DOUBLE PRECISION,
+ADD COLUMN     "fiber" DOUBLE PRECISION,
+ADD COLUMN     "protein" DOUBLE PRECISION,
+ADD COLUMN     "sodium" DOUBLE PRECISION,
+ADD COLUMN     "sugar" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "ingredient_nutrition" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "kcal" DOUBLE PRECISION NOT NULL,
+    "protein" DOUBLE PRECISION NOT NULL,
+    "carbs" DOUBLE PRECISION NOT NULL,
+    "fat" DOUBLE PRECISION NOT NULL,
+    "fiber" DOUBLE PRECISION NOT NULL,
+    "sugar" DOUBLE PRECISION NOT NULL,
+    "sodium" DOUBLE PRECISION NOT NULL,
+    "gramsPerUnit" DOUBLE PRECISION,
+    "gramsPerCup" DOUBLE PRECISION,
+
+    CONSTRAINT "ingredient_nutrition_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ingredient_nutrition_name_key" ON "ingredient_nutrition"("name");
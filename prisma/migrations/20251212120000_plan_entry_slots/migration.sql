@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "plan_entries" ADD COLUMN     "mealSlot" TEXT,
+ADD COLUMN     "servings" DOUBLE PRECISION NOT NULL DEFAULT 1;
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "plan_templates" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "days" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "plan_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "plan_template_entries" (
+    "id" SERIAL NOT NULL,
+    "dayOffset" INTEGER NOT NULL,
+    "mealSlot" TEXT,
+    "servings" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "templateId" INTEGER NOT NULL,
+    "recipeId" INTEGER NOT NULL,
+
+    CONSTRAINT "plan_template_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plan_templates_userId_name_key" ON "plan_templates"("userId", "name");
+
+-- AddForeignKey
+ALTER TABLE "plan_templates" ADD CONSTRAINT "plan_templates_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "plan_template_entries" ADD CONSTRAINT "plan_template_entries_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "plan_templates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "plan_template_entries" ADD CONSTRAINT "plan_template_entries_recipeId_fkey" FOREIGN KEY ("recipeId") REFERENCES "recipes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "shopping_list_checks" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "checkedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "shopping_list_checks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shopping_list_checks_userId_name_key" ON "shopping_list_checks"("userId", "name");
+
+-- AddForeignKey
+ALTER TABLE "shopping_list_checks" ADD CONSTRAINT "shopping_list_checks_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
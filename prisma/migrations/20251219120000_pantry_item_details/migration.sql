@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "user_pantry_items" ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "quantity" DOUBLE PRECISION,
+ADD COLUMN     "unit" TEXT;
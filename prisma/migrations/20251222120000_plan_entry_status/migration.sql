@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "plan_entries" ADD COLUMN     "cookedAt" TIMESTAMP(3),
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'planned';
+
+-- Las entradas de días anteriores a hoy eran el registro de lo consumido: se marcan como cocinadas
+-- para que el historial calórico, que ahora solo cuenta las comidas cocinadas, no pierda datos.
+UPDATE "plan_entries"
+SET "status" = 'cooked'
+FROM "daily_plans"
+WHERE "plan_entries"."planId" = "daily_plans"."id"
+  AND "daily_plans"."date" < CURRENT_DATE;
+
+-- CreateTable
+CREATE TABLE "pantry_deductions" (
+    "id" SERIAL NOT NULL,
+    "ingredientName" TEXT NOT NULL,
+    "previousQuantity" DOUBLE PRECISION,
+    "deductedQuantity" DOUBLE PRECISION,
+    "unit" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "removed" BOOLEAN NOT NULL,
+    "entryId" INTEGER NOT NULL,
+
+    CONSTRAINT "pantry_deductions_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "pantry_deductions" ADD CONSTRAINT "pantry_deductions_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "plan_entries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "ingredients" ADD COLUMN     "canonicalId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "user_pantry_items" ADD COLUMN     "canonicalId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "canonical_ingredients" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "category" TEXT,
+
+    CONSTRAINT "canonical_ingredients_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ingredient_aliases" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "canonicalId" INTEGER NOT NULL,
+
+    CONSTRAINT "ingredient_aliases_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ingredients_canonicalId_idx" ON "ingredients"("canonicalId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "canonical_ingredients_key_key" ON "canonical_ingredients"("key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ingredient_aliases_key_key" ON "ingredient_aliases"("key");
+
+-- AddForeignKey
+ALTER TABLE "ingredients" ADD CONSTRAINT "ingredients_canonicalId_fkey" FOREIGN KEY ("canonicalId") REFERENCES "canonical_ingredients"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_pantry_items" ADD CONSTRAINT "user_pantry_items_canonicalId_fkey" FOREIGN KEY ("canonicalId") REFERENCES "canonical_ingredients"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ingredient_aliases" ADD CONSTRAINT "ingredient_aliases_canonicalId_fkey" FOREIGN KEY ("canonicalId") REFERENCES "canonical_ingredients"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "recipes" ADD COLUMN     "imageKey" TEXT,
+ADD COLUMN     "imageThumbnail" TEXT;
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "avatarKey" TEXT,
+ADD COLUMN     "avatarThumbnail" TEXT;
@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE "recipes" ADD COLUMN     "shareToken" TEXT,
+ADD COLUMN     "visibility" TEXT NOT NULL DEFAULT 'public';
+
+-- CreateTable
+CREATE TABLE "recipe_collections" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "shareToken" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "recipe_collections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "collection_recipes" (
+    "id" SERIAL NOT NULL,
+    "addedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "collectionId" INTEGER NOT NULL,
+    "recipeId" INTEGER NOT NULL,
+
+    CONSTRAINT "collection_recipes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recipes_shareToken_key" ON "recipes"("shareToken");
+
+-- CreateIndex
+CREATE INDEX "recipes_visibility_idx" ON "recipes"("visibility");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recipe_collections_shareToken_key" ON "recipe_collections"("shareToken");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recipe_collections_userId_name_key" ON "recipe_collections"("userId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "collection_recipes_collectionId_recipeId_key" ON "collection_recipes"("collectionId", "recipeId");
+
+-- AddForeignKey
+ALTER TABLE "recipe_collections" ADD CONSTRAINT "recipe_collections_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "collection_recipes" ADD CONSTRAINT "collection_recipes_collectionId_fkey" FOREIGN KEY ("collectionId") REFERENCES "recipe_collections"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "collection_recipes" ADD CONSTRAINT "collection_recipes_recipeId_fkey" FOREIGN KEY ("recipeId") REFERENCES "recipes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
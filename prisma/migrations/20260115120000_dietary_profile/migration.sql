@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "recipes" ADD COLUMN     "allergens" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "diets" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "allergens" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "diets" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- Las recetas existentes quedan sin etiquetas: tras aplicar la migración hay que calcularlas con
+-- `npm run recipes:tag`.
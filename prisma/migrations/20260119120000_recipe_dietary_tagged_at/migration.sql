@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "recipes" ADD COLUMN     "dietaryTaggedAt" TIMESTAMP(3);
+
+-- Las recetas quedan sin etiquetar hasta que `npm run recipes:tag` (incluido en `npm run deploy`)
+-- las procesa; mientras tanto no se muestran a quien filtra por su perfil alimentario.
@@ -0,0 +1,6 @@
+-- Los ingredientes canónicos sin categoría ni alias se crearon automáticamente a partir de nombres
+-- escritos por los usuarios, no desde el catálogo. Al borrarlos, los ingredientes y las despensas
+-- que los usaban quedan sin enlazar (ON DELETE SET NULL) y se comparan por su propio nombre.
+DELETE FROM "canonical_ingredients" c
+WHERE c."category" IS NULL
+  AND NOT EXISTS (SELECT 1 FROM "ingredient_aliases" a WHERE a."canonicalId" = c."id");
@@ -0,0 +1,10 @@
+-- Antes de crear el índice se eliminan los duplicados de un mismo ingrediente canónico en la
+-- despensa de cada usuario ("papa" y "patata"), conservando el que se añadió primero.
+DELETE FROM "user_pantry_items" a
+USING "user_pantry_items" b
+WHERE a."userId" = b."userId"
+  AND a."canonicalId" = b."canonicalId"
+  AND a."id" > b."id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_pantry_items_userId_canonicalId_key" ON "user_pantry_items"("userId", "canonicalId");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "recipes" ADD COLUMN     "computedNutrients" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- En las recetas existentes no se sabe qué nutrientes calculó el servidor, así que se conservan
+-- todos como si los hubiera indicado el autor; los vacíos se siguen calculando al editarlas.
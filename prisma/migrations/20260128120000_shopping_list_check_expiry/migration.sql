@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "shopping_list_checks" ADD COLUMN     "expiresAt" TIMESTAMP(3);
+
+-- Las marcas existentes se hicieron sobre la lista por defecto, la de 7 días a partir del día en
+-- que se marcaron.
+UPDATE "shopping_list_checks" SET "expiresAt" = date_trunc('day', "checkedAt") + INTERVAL '6 days';
+
+ALTER TABLE "shopping_list_checks" ALTER COLUMN "expiresAt" SET NOT NULL;
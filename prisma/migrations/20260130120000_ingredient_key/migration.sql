@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ingredients" ADD COLUMN     "key" TEXT;
+
+-- La clave se calcula con `normalizeIngredientKey`, que no tiene equivalente en SQL: los
+-- ingredientes existentes la reciben con `npm run ingredients:link` (incluido en `npm run deploy`).
@@ -1,11 +1,15 @@
 import { PrismaClient } from '@prisma/client';
 import argon2 from 'argon2';
+import { INGREDIENT_NUTRITION, NUTRIENT_FIELDS, computeNutrition } from '../nutrition.js';
+import { loadIngredientCatalog, normalizeIngredientKey } from '../ingredients.js';
+import { deriveDietaryTags } from '../dietary.js';
 
 const prisma = new PrismaClient();
 
 /**
  * Conjunto de datos de recetas simuladas (mock) para poblar la base de datos.
  * Las imágenes son solo nombres de archivo; el frontend deberá resolver la ruta.
+ * Cada ingrediente lleva su cantidad, su unidad y, si hace falta, una nota de preparación.
  */
 const MOCK_RECIPES = [
   {
@@ -14,7 +18,12 @@ const MOCK_RECIPES = [
     kcal: 350,
     time: "20 min",
     level: "Fácil",
-    ingredients: ["pollo", "lechuga", "tomate", "pepino"],
+    ingredients: [
+      { name: "pollo", quantity: 1, unit: "unidad", note: "pechuga" },
+      { name: "lechuga", quantity: 2, unit: "taza", note: "troceada" },
+      { name: "tomate", quantity: 1, unit: "unidad" },
+      { name: "pepino", quantity: 0.5, unit: "unidad" },
+    ],
     steps: [
       "Cocina 1 pechuga de pollo a la plancha a fuego medio durante 6–8 minutos por cada lado hasta que esté bien cocida y córtala en tiras",
       "Lava y trocea 2 tazas de lechuga, 1 tomate y 1/2 pepino",
@@ -29,7 +38,11 @@ const MOCK_RECIPES = [
     kcal: 250,
     time: "15 min",
     level: "Fácil",
-    ingredients: ["huevo", "espinaca", "cebolla"],
+    ingredients: [
+      { name: "huevo", quantity: 2, unit: "unidad" },
+      { name: "espinaca", quantity: 1, unit: "taza" },
+      { name: "cebolla", quantity: 0.25, unit: "unidad", note: "picada" },
+    ],
     steps: [
       "Bate 2 huevos en un bol con una pizca de sal y pimienta",
       "Saltea 1 taza de espinaca y 1/4 de cebolla picada en una sartén antiadherente con 1 cucharadita de aceite durante 2 minutos",
@@ -44,7 +57,12 @@ const MOCK_RECIPES = [
     kcal: 300,
     time: "40 min",
     level: "Media",
-    ingredients: ["lentejas", "zanahoria", "papa", "cebolla"],
+    ingredients: [
+      { name: "lentejas", quantity: 1, unit: "taza", note: "enjuagadas" },
+      { name: "zanahoria", quantity: 1, unit: "unidad", note: "picada" },
+      { name: "papa", quantity: 1, unit: "unidad", note: "en cubos" },
+      { name: "cebolla", quantity: 0.5, unit: "unidad", note: "picada" },
+    ],
     steps: [
       "Enjuaga 1 taza de lentejas y ponlas a cocer en 4 tazas de agua en una olla",
       "Añade 1 zanahoria picada, 1 papa en cubos y 1/2 cebolla picada",
@@ -59,7 +77,12 @@ const MOCK_RECIPES = [
     kcal: 200,
     time: "10 min",
     level: "Fácil",
-    ingredients: ["avena", "banana", "frutos rojos", "leche"],
+    ingredients: [
+      { name: "avena", quantity: 0.25, unit: "taza" },
+      { name: "banana", quantity: 1, unit: "unidad" },
+      { name: "frutos rojos", quantity: 0.5, unit: "taza" },
+      { name: "leche", quantity: 0.5, unit: "taza" },
+    ],
     steps: [
       "Remoja 1/4 de taza de avena en 1/2 taza de leche durante 5 minutos",
       "Licúa la avena remojada con 1 banana y 1/2 taza de frutos rojos",
@@ -74,7 +97,12 @@ const MOCK_RECIPES = [
     kcal: 400,
     time: "25 min",
     level: "Media",
-    ingredients: ["quinoa", "zanahoria", "brócoli", "pimiento"],
+    ingredients: [
+      { name: "quinoa", quantity: 1, unit: "taza" },
+      { name: "zanahoria", quantity: 1, unit: "unidad", note: "en tiras" },
+      { name: "brócoli", quantity: 1, unit: "taza", note: "en floretes" },
+      { name: "pimiento", quantity: 0.5, unit: "unidad", note: "en tiras" },
+    ],
     steps: [
       "Cocina 1 taza de quinoa según las indicaciones del paquete (aproximadamente 15 minutos en agua hirviendo)",
       "Saltea 1 zanahoria en tiras, 1 taza de brócoli en floretes y 1/2 pimiento en tiras en una sartén con 1 cucharada de aceite durante 5 minutos",
@@ -89,7 +117,11 @@ const MOCK_RECIPES = [
     kcal: 220,
     time: "10 min",
     level: "Fácil",
-    ingredients: ["huevo", "tomate", "cebolla"],
+    ingredients: [
+      { name: "huevo", quantity: 2, unit: "unidad" },
+      { name: "tomate", quantity: 1, unit: "unidad", note: "mediano, picado" },
+      { name: "cebolla", quantity: 0.25, unit: "unidad", note: "picada finamente" },
+    ],
     steps: [
       "Pica 1 tomate mediano y 1/4 de cebolla finamente",
       "Bate 2 huevos en un bol con una pizca de sal",
@@ -104,7 +136,13 @@ const MOCK_RECIPES = [
     kcal: 450,
     time: "20 min",
     level: "Fácil",
-    ingredients: ["pasta", "atún", "tomate", "cebolla", "aceite de oliva"],
+    ingredients: [
+      { name: "pasta", quantity: 150, unit: "g" },
+      { name: "atún", quantity: 1, unit: "unidad", note: "lata, escurrida" },
+      { name: "tomate", quantity: 1, unit: "unidad", note: "picado" },
+      { name: "cebolla", quantity: 0.5, unit: "unidad", note: "picada finamente" },
+      { name: "aceite de oliva", quantity: 1, unit: "cucharada" },
+    ],
     steps: [
       "Cocina 150g de pasta según las instrucciones del paquete.",
       "Mientras tanto, pica finamente 1/2 cebolla y 1 tomate.",
@@ -121,7 +159,13 @@ const MOCK_RECIPES = [
     kcal: 180,
     time: "5 min",
     level: "Fácil",
-    ingredients: ["espinaca", "pepino", "manzana verde", "limón", "jengibre"],
+    ingredients: [
+      { name: "espinaca", quantity: 1, unit: "taza", note: "fresca" },
+      { name: "pepino", quantity: 0.5, unit: "unidad" },
+      { name: "manzana verde", quantity: 1, unit: "unidad" },
+      { name: "limón", quantity: 0.5, unit: "unidad", note: "en jugo" },
+      { name: "jengibre", note: "una rodaja pequeña, fresco" },
+    ],
     steps: [
       "Lava bien 1 taza de espinacas frescas.",
       "Pela y corta 1/2 pepino y 1 manzana verde en trozos.",
@@ -137,7 +181,12 @@ const MOCK_RECIPES = [
     kcal: 320,
     time: "10 min",
     level: "Fácil",
-    ingredients: ["pan integral", "aguacate", "huevo", "limón"],
+    ingredients: [
+      { name: "pan integral", quantity: 2, unit: "unidad", note: "rebanadas" },
+      { name: "aguacate", quantity: 1, unit: "unidad", note: "maduro" },
+      { name: "huevo", quantity: 2, unit: "unidad" },
+      { name: "limón", note: "unas gotas de jugo" },
+    ],
     steps: [
       "Tuesta 2 rebanadas de pan integral a tu gusto.",
       "Mientras tanto, cocina 2 huevos a la plancha o pochados.",
@@ -165,6 +214,15 @@ async function main() {
     },
   });
   
+  // Tabla nutricional de referencia, usada para calcular los macronutrientes de las recetas.
+  console.log('Cargando la tabla nutricional de ingredientes...');
+  await prisma.ingredientNutrition.deleteMany({});
+  await prisma.ingredientNutrition.createMany({ data: INGREDIENT_NUTRITION });
+
+  // Catálogo de ingredientes canónicos, con el que se enlazan los ingredientes de las recetas.
+  console.log('Cargando el catálogo de ingredientes...');
+  const canonicalIds = await loadIngredientCatalog(prisma);
+
   // 2. Crear un usuario administrador de prueba.
   // Todas las recetas deben estar asociadas a un autor.
   console.log('Creando usuario administrador...');
@@ -192,11 +250,20 @@ async function main() {
         description: recipe.description,
         kcal: recipe.kcal,
         time: recipe.time,
+        prepMinutes: parseInt(recipe.time, 10), // "20 min" -> 20
+        ...computeNutrition(recipe.ingredients, INGREDIENT_NUTRITION),
+        computedNutrients: NUTRIENT_FIELDS,
+        ...deriveDietaryTags(recipe.ingredients),
+        dietaryTaggedAt: new Date(),
         level: recipe.level,
         image: recipe.image,
         authorId: adminUser.id,
         ingredients: {
-          create: recipe.ingredients.map((name) => ({ name })),
+          create: recipe.ingredients.map(ingredient => ({
+            ...ingredient,
+            key: normalizeIngredientKey(ingredient.name),
+            canonicalId: canonicalIds.get(normalizeIngredientKey(ingredient.name)),
+          })),
         },
         steps: {
           create: recipe.steps.map((description, index) => ({
@@ -249,6 +316,8 @@ async function main() {
           data: {
             planId: plan.id,
             recipeId: randomRecipe.id,
+            status: 'cooked', // Días pasados: las comidas ya se consumieron.
+            cookedAt: date,
           },
         });
       }
@@ -0,0 +1,52 @@
+import { PrismaClient } from '@prisma/client';
+import { deriveDietaryTags } from '../dietary.js';
+
+const prisma = new PrismaClient();
+
+// Recetas que se leen de la base de datos en cada lote.
+const BATCH_SIZE = 200;
+
+/**
+ * Script de mantenimiento: recalcula los alérgenos y las dietas compatibles de todas las recetas
+ * a partir de sus ingredientes. Las recetas sin etiquetar no aparecen a los usuarios con un
+ * perfil alimentario, así que `npm run deploy` lo ejecuta tras cada migración; también conviene
+ * ejecutarlo cada vez que se amplían las reglas de `dietary.js`.
+ * Se puede ejecutar varias veces sin efectos secundarios: `npm run recipes:tag`.
+ */
+async function main() {
+  let cursor = null;
+  let updated = 0;
+
+  while (true) {
+    const recipes = await prisma.recipe.findMany({
+      select: { id: true, ingredients: { select: { name: true } } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+
+    for (const recipe of recipes) {
+      await prisma.recipe.update({
+        where: { id: recipe.id },
+        data: { ...deriveDietaryTags(recipe.ingredients), dietaryTaggedAt: new Date() },
+      });
+    }
+    updated += recipes.length;
+
+    if (recipes.length < BATCH_SIZE) {
+      break;
+    }
+    cursor = recipes[recipes.length - 1].id;
+  }
+
+  console.log(`¡Etiquetas alimentarias actualizadas en ${updated} recetas!`);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error al etiquetar las recetas:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
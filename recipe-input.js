@@ -0,0 +1,317 @@
+/**
+ * Validación y preparación de los datos de las recetas antes de guardarlas, compartidas entre el
+ * servidor y el script de importación (`prisma/import-recipes.js`).
+ */
+
+import crypto from "crypto";
+import { NUTRIENT_FIELDS, computeNutrition } from "./nutrition.js";
+import { normalizeIngredientKey, resolveCanonicalIngredients } from "./ingredients.js";
+import { deriveDietaryTags } from "./dietary.js";
+import { jsonLdToRecipeInput } from "./recipe-jsonld.js";
+import { RECIPE_VISIBILITIES } from "./recipe-visibility.js";
+
+// Niveles de dificultad admitidos para una receta.
+export const RECIPE_LEVELS = ["Fácil", "Media", "Difícil"];
+
+/**
+ * Genera un token aleatorio para un enlace de solo lectura.
+ * @returns {string} El token, apto para usarse en una URL.
+ */
+export const generateShareToken = () => crypto.randomBytes(16).toString("base64url");
+
+/**
+ * Ajusta el token del enlace de una receta a su nueva visibilidad: las no listadas conservan su
+ * token o reciben uno nuevo, y el resto lo pierden, de modo que el enlace deja de funcionar.
+ * @param {object} data Los datos normalizados de la receta; se modifican en el sitio.
+ * @param {string|null} [currentToken=null] El token actual de la receta, si ya existe.
+ */
+export const applyRecipeVisibility = (data, currentToken = null) => {
+  if (data.visibility !== undefined) {
+    data.shareToken = data.visibility === 'unlisted' ? (currentToken ?? generateShareToken()) : null;
+  }
+};
+
+/**
+ * Convierte un tiempo de preparación en texto ("20 min", "1 h 30 min", "45") a minutos.
+ * @param {string} text El tiempo tal como se muestra en la receta.
+ * @returns {number|null} Los minutos, o null si el texto no contiene una duración reconocible.
+ */
+const parseDurationMinutes = (text) => {
+  const hours = /(\d+)\s*h/i.exec(text);
+  const minutes = /(\d+)\s*min/i.exec(text);
+  if (!hours && !minutes) {
+    const plain = /^\s*(\d+)\s*$/.exec(text);
+    return plain ? Number(plain[1]) : null;
+  }
+  return (hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0);
+};
+
+// Unidades de medida admitidas para las cantidades de los ingredientes.
+export const INGREDIENT_UNITS = ["g", "kg", "ml", "l", "taza", "cucharada", "cucharadita", "unidad", "pizca"];
+
+/**
+ * Valida y normaliza un ingrediente de una receta. Se acepta solo el nombre (formato histórico)
+ * o un objeto `{ name, quantity, unit, note }` con la cantidad estructurada.
+ * @param {string|object} input El ingrediente enviado por el cliente.
+ * @returns {{error?: string, data?: {name: string, quantity: number|null, unit: string|null, note: string|null}}}
+ *   El mensaje de error o el ingrediente listo para guardarse.
+ */
+const parseIngredientInput = (input) => {
+  const ingredient = typeof input === 'string' ? { name: input } : (input || {});
+  const { name, quantity = null, unit = null, note = null } = ingredient;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: "Todos los ingredientes deben tener un nombre." };
+  }
+  if (quantity !== null && (typeof quantity !== 'number' || !(quantity > 0))) {
+    return { error: `La cantidad de '${name.trim()}' debe ser un número positivo.` };
+  }
+  if (unit !== null && !INGREDIENT_UNITS.includes(unit)) {
+    return { error: `La unidad de '${name.trim()}' debe ser una de: ${INGREDIENT_UNITS.join(', ')}.` };
+  }
+  if (note !== null && typeof note !== 'string') {
+    return { error: `La nota de '${name.trim()}' debe ser un texto.` };
+  }
+
+  return {
+    data: {
+      name: name.trim(),
+      quantity,
+      unit,
+      note: note?.trim() || null,
+    },
+  };
+};
+
+/**
+ * Valida y normaliza los datos de una receta enviados por el cliente.
+ * Los pasos pueden enviarse como textos o como objetos `{ description, order }`; en ambos casos
+ * se renumeran de forma consecutiva a partir de 1 según el orden resultante.
+ * @param {object} body El cuerpo de la petición.
+ * @param {boolean} [partial=false] Si es verdadero (PATCH), solo se validan los campos presentes.
+ * @returns {{errors: string[], data: object, ingredients?: object[], steps?: object[]}}
+ *   Los errores encontrados, los campos escalares normalizados y, si se enviaron, las listas
+ *   de ingredientes y pasos listas para una escritura anidada de Prisma.
+ */
+export const parseRecipeInput = (body, partial = false) => {
+  const errors = [];
+  const data = {};
+  const result = { errors, data };
+  const isPresent = (field) => !partial || body[field] !== undefined;
+
+  if (isPresent('title')) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      errors.push("El título no puede estar vacío.");
+    } else {
+      data.title = body.title.trim();
+    }
+  }
+
+  if (isPresent('description')) {
+    if (typeof body.description !== 'string') {
+      errors.push("La descripción es obligatoria.");
+    } else {
+      data.description = body.description.trim();
+    }
+  }
+
+  if (isPresent('kcal')) {
+    const kcal = Number(body.kcal);
+    if (body.kcal === null || body.kcal === '' || !Number.isInteger(kcal) || kcal < 0) {
+      errors.push("Las calorías deben ser un número entero no negativo.");
+    } else {
+      data.kcal = kcal;
+    }
+  }
+
+  if (isPresent('time')) {
+    if (typeof body.time !== 'string' || !body.time.trim()) {
+      errors.push("El tiempo de preparación es obligatorio.");
+    } else {
+      data.time = body.time.trim();
+      data.prepMinutes = parseDurationMinutes(data.time);
+    }
+  }
+
+  if (isPresent('level')) {
+    if (!RECIPE_LEVELS.includes(body.level)) {
+      errors.push(`El nivel debe ser uno de: ${RECIPE_LEVELS.join(', ')}.`);
+    } else {
+      data.level = body.level;
+    }
+  }
+
+  for (const field of NUTRIENT_FIELDS) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] !== null && (typeof body[field] !== 'number' || body[field] < 0)) {
+      errors.push(`El valor de '${field}' debe ser un número no negativo.`);
+    } else {
+      data[field] = body[field];
+    }
+  }
+
+  if (body.servings !== undefined) {
+    const servings = Number(body.servings);
+    if (!Number.isInteger(servings) || servings < 1) {
+      errors.push("Las porciones deben ser un número entero positivo.");
+    } else {
+      data.servings = servings;
+    }
+  }
+
+  if (body.visibility !== undefined) {
+    if (!RECIPE_VISIBILITIES.includes(body.visibility)) {
+      errors.push(`La visibilidad debe ser una de: ${RECIPE_VISIBILITIES.join(', ')}.`);
+    } else {
+      data.visibility = body.visibility;
+    }
+  }
+
+  if (body.image !== undefined) {
+    if (body.image !== null && typeof body.image !== 'string') {
+      errors.push("La imagen debe ser un texto.");
+    } else {
+      data.image = body.image || null;
+    }
+  }
+
+  if (isPresent('ingredients')) {
+    const ingredients = Array.isArray(body.ingredients) ? body.ingredients.map(parseIngredientInput) : [];
+    if (ingredients.length === 0) {
+      errors.push("Se requiere una lista de ingredientes no vacía.");
+    } else if (ingredients.some(ingredient => ingredient.error)) {
+      errors.push(...ingredients.filter(ingredient => ingredient.error).map(ingredient => ingredient.error));
+    } else {
+      result.ingredients = ingredients.map(ingredient => ingredient.data);
+    }
+  }
+
+  if (isPresent('steps')) {
+    const steps = Array.isArray(body.steps) ? body.steps : [];
+    const normalized = steps.map((step, index) => (
+      typeof step === 'string'
+        ? { description: step, order: index + 1 }
+        : { description: step?.description, order: Number(step?.order ?? index + 1) }
+    ));
+    if (normalized.length === 0 || normalized.some(step => typeof step.description !== 'string' || !step.description.trim() || !Number.isFinite(step.order))) {
+      errors.push("Se requiere una lista de pasos con descripciones no vacías.");
+    } else {
+      result.steps = normalized
+        .sort((a, b) => a.order - b.order)
+        .map((step, index) => ({ description: step.description.trim(), order: index + 1 }));
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Enlaza cada ingrediente de una receta con su ingrediente canónico (`canonicalId`) y le asigna
+ * su clave normalizada (`key`), con la que se compara en SQL cuando no está en el catálogo.
+ * @param {import('@prisma/client').PrismaClient} client El cliente de Prisma.
+ * @param {object[]} ingredients Los ingredientes normalizados; se modifican en el sitio.
+ * @returns {Promise<void>}
+ */
+export const linkCanonicalIngredients = async (client, ingredients) => {
+  const canonicals = await resolveCanonicalIngredients(ingredients.map(ingredient => ingredient.name), client);
+  for (const ingredient of ingredients) {
+    ingredient.key = normalizeIngredientKey(ingredient.name);
+    ingredient.canonicalId = canonicals.get(normalizeIngredientKey(ingredient.name))?.id ?? null;
+  }
+};
+
+/**
+ * Completa los nutrientes de una receta que el autor no haya indicado, calculándolos a partir
+ * de las cantidades de sus ingredientes y de la tabla nutricional local, y anota cuáles se
+ * calcularon en `data.computedNutrients`.
+ * Los valores enviados explícitamente por el autor siempre tienen prioridad. Al editar una
+ * receta, tampoco se tocan los que el autor indicó en su momento: solo se recalculan los que ya
+ * se habían calculado y los que están vacíos.
+ * @param {import('@prisma/client').PrismaClient} client El cliente de Prisma.
+ * @param {object} data Los datos normalizados de la receta; se modifican en el sitio.
+ * @param {object[]} ingredients Los ingredientes normalizados de la receta.
+ * @param {object|null} [current=null] Si se edita una receta, sus nutrientes guardados y su
+ *   `computedNutrients`.
+ * @returns {Promise<void>}
+ */
+export const fillComputedNutrition = async (client, data, ingredients, current = null) => {
+  const missing = NUTRIENT_FIELDS.filter(field => data[field] === undefined
+    && (!current || current[field] === null || current.computedNutrients.includes(field)));
+  data.computedNutrients = missing;
+  if (missing.length === 0) {
+    return;
+  }
+
+  // La tabla nutricional es pequeña; se carga entera para poder comparar por clave normalizada.
+  const table = await client.ingredientNutrition.findMany();
+  const computed = computeNutrition(ingredients, table);
+  for (const field of missing) {
+    data[field] = computed ? computed[field] : null;
+  }
+};
+
+/**
+ * Importa recetas en formato schema.org `Recipe` como recetas del usuario. Cada nodo se
+ * convierte (ver `jsonLdToRecipeInput`), se valida igual que en `POST /api/recipes` y se prepara
+ * con sus nutrientes calculados e ingredientes enlazados al catálogo. Se omiten como duplicadas
+ * las recetas cuyo título (sin distinguir mayúsculas) ya tiene una receta del mismo autor,
+ * también dentro del mismo lote.
+ * Las recetas válidas se crean en una sola transacción: si falla alguna no se crea ninguna, así
+ * que el lote entero puede reintentarse sin dejar recetas a medias.
+ * @param {import('@prisma/client').PrismaClient} client El cliente de Prisma.
+ * @param {number} userId El autor de las recetas importadas.
+ * @param {object[]} nodes Los nodos `Recipe`.
+ * @param {string} [visibility="public"] La visibilidad de las recetas creadas.
+ * @returns {Promise<{created: object[], duplicates: object[], invalid: object[]}>} El resultado
+ *   de cada nodo, identificado por su posición (`index`) en el lote.
+ */
+export const importRecipes = async (client, userId, nodes, visibility = 'public') => {
+  const converted = nodes.map(node => jsonLdToRecipeInput(node));
+  const titles = converted.map(({ recipe }) => recipe.title).filter(Boolean);
+  const existing = await client.recipe.findMany({
+    where: { authorId: userId, title: { in: titles, mode: 'insensitive' } },
+    select: { id: true, title: true },
+  });
+  // Las recetas del lote se anotan sin ID (null) hasta que se crean.
+  const existingByTitle = new Map(existing.map(recipe => [recipe.title.toLowerCase(), recipe.id]));
+  const result = { created: [], duplicates: [], invalid: [] };
+  const pending = [];
+
+  for (const [index, { errors: conversionErrors, recipe: input }] of converted.entries()) {
+    const { errors, data, ingredients, steps } = parseRecipeInput({ ...input, visibility });
+    if (conversionErrors.length > 0 || errors.length > 0) {
+      result.invalid.push({ index, title: input.title || null, errors: [...new Set([...conversionErrors, ...errors])] });
+      continue;
+    }
+
+    const titleKey = data.title.toLowerCase();
+    if (existingByTitle.has(titleKey)) {
+      result.duplicates.push({ index, title: data.title, existingId: existingByTitle.get(titleKey) });
+      continue;
+    }
+
+    await fillComputedNutrition(client, data, ingredients);
+    await linkCanonicalIngredients(client, ingredients);
+    Object.assign(data, deriveDietaryTags(ingredients), { dietaryTaggedAt: new Date() });
+    applyRecipeVisibility(data);
+    existingByTitle.set(titleKey, null);
+    pending.push({
+      index,
+      data: { ...data, authorId: userId, ingredients: { create: ingredients }, steps: { create: steps } },
+    });
+  }
+
+  const recipes = await client.$transaction(pending.map(({ data }) => (
+    client.recipe.create({ data, select: { id: true, title: true } })
+  )));
+  recipes.forEach((recipe, position) => result.created.push({ index: pending[position].index, ...recipe }));
+
+  const createdByTitle = new Map(recipes.map(recipe => [recipe.title.toLowerCase(), recipe.id]));
+  for (const duplicate of result.duplicates) {
+    duplicate.existingId ??= createdByTitle.get(duplicate.title.toLowerCase());
+  }
+
+  return result;
+};
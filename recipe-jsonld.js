@@ -0,0 +1,412 @@
+/**
+ * Conversión entre recetas del recetario y documentos schema.org `Recipe` en JSON-LD,
+ * compartida entre el servidor y el script de importación de la carpeta `prisma`.
+ */
+
+import { NUTRIENT_FIELDS } from "./nutrition.js";
+
+// Palabras con las que se escriben las unidades en los ingredientes importados y la unidad
+// de `INGREDIENT_UNITS` a la que corresponden.
+const UNIT_WORDS = {
+  g: "g", gr: "g", gramo: "g", gramos: "g",
+  kg: "kg", kilo: "kg", kilos: "kg", kilogramo: "kg", kilogramos: "kg",
+  ml: "ml", mililitro: "ml", mililitros: "ml",
+  l: "l", litro: "l", litros: "l",
+  taza: "taza", tazas: "taza", cup: "taza", cups: "taza",
+  cucharada: "cucharada", cucharadas: "cucharada", cda: "cucharada", tbsp: "cucharada",
+  cucharadita: "cucharadita", cucharaditas: "cucharadita", cdta: "cucharadita", tsp: "cucharadita",
+  unidad: "unidad", unidades: "unidad",
+  pizca: "pizca", pizcas: "pizca",
+};
+
+// Fracciones Unicode habituales en las recetas publicadas en la web.
+const UNICODE_FRACTIONS = { "½": 0.5, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 0.25, "¾": 0.75, "⅛": 0.125 };
+
+// Propiedades de schema.org `NutritionInformation` de cada nutriente (ver `NUTRIENT_FIELDS`).
+const NUTRIENT_PROPERTIES = {
+  protein: "proteinContent",
+  carbs: "carbohydrateContent",
+  fat: "fatContent",
+  fiber: "fiberContent",
+  sugar: "sugarContent",
+  sodium: "sodiumContent",
+};
+
+/**
+ * Convierte una duración ISO-8601 ("PT1H30M", "P0DT45M") en minutos.
+ * @param {string} value La duración.
+ * @returns {number|null} Los minutos, o null si el formato no es válido.
+ */
+export const parseIsoDuration = (value) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(String(value ?? "").trim());
+  if (!match || match.slice(1).every(part => part === undefined)) {
+    return null;
+  }
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(days) * 1440 + Number(hours) * 60 + Number(minutes) + Math.round(Number(seconds) / 60);
+};
+
+/**
+ * Convierte minutos en una duración ISO-8601 ("PT1H30M").
+ * @param {number} minutes Los minutos.
+ * @returns {string} La duración.
+ */
+export const toIsoDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ""}${rest || !hours ? `${rest}M` : ""}`;
+};
+
+/**
+ * Escribe unos minutos con el formato del campo `time` de las recetas ("20 min", "1 h 30 min").
+ * @param {number} minutes Los minutos.
+ * @returns {string} El texto del tiempo de preparación.
+ */
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) {
+    return `${rest} min`;
+  }
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
+
+/**
+ * Deduce el nivel de dificultad de una receta importada a partir de su duración, ya que
+ * schema.org no tiene un campo equivalente.
+ * @param {number|null} minutes La duración total.
+ * @returns {string} Uno de los niveles de receta.
+ */
+const levelFromMinutes = (minutes) => {
+  if (minutes === null || minutes <= 20) {
+    return "Fácil";
+  }
+  return minutes <= 60 ? "Media" : "Difícil";
+};
+
+/**
+ * Interpreta una cantidad escrita como "2", "1,5", "1/2", "½" o "1 1/2".
+ * @param {string} text La cantidad.
+ * @returns {number|null} El valor numérico, o null si no es una cantidad.
+ */
+const parseQuantity = (text) => {
+  let total = 0;
+  for (const part of text.trim().split(/\s+/)) {
+    if (UNICODE_FRACTIONS[part] !== undefined) {
+      total += UNICODE_FRACTIONS[part];
+    } else if (/^\d+\/\d+$/.test(part)) {
+      const [numerator, denominator] = part.split("/").map(Number);
+      if (!denominator) {
+        return null;
+      }
+      total += numerator / denominator;
+    } else if (/^\d+(?:[.,]\d+)?$/.test(part)) {
+      total += Number(part.replace(",", "."));
+    } else {
+      return null;
+    }
+  }
+  return total > 0 ? Math.round(total * 1000) / 1000 : null;
+};
+
+/**
+ * Convierte una línea de ingrediente en texto libre ("2 tazas de arroz, lavado") en un
+ * ingrediente estructurado. Lo que va tras la primera coma o entre paréntesis se guarda como nota.
+ * Si tras la cantidad no hay una unidad conocida, se entiende que cuenta piezas (`unidad`). Una
+ * línea sin nada tras la unidad ("1 taza") conserva la unidad y queda sin nombre, así que la
+ * receta no supera la validación de `parseRecipeInput`.
+ * @param {string} line La línea del ingrediente.
+ * @returns {{name: string, quantity: number|null, unit: string|null, note: string|null}}
+ */
+export const parseIngredientLine = (line) => {
+  let text = String(line).replace(/\s+/g, " ").trim();
+  const notes = [];
+
+  text = text.replace(/\(([^)]*)\)/g, (_, note) => {
+    notes.push(note.trim());
+    return "";
+  }).trim();
+  const comma = text.indexOf(",");
+  if (comma !== -1) {
+    notes.push(text.slice(comma + 1).trim());
+    text = text.slice(0, comma).trim();
+  }
+
+  const match = /^((?:\d+(?:[.,]\d+)?|\d+\/\d+|[½⅓⅔¼¾⅛])(?:\s+(?:\d+\/\d+|[½⅓⅔¼¾⅛]))?)\s*(.*)$/.exec(text);
+  let quantity = null;
+  let unit = null;
+  if (match && parseQuantity(match[1]) !== null) {
+    quantity = parseQuantity(match[1]);
+    text = match[2];
+    const [word, ...rest] = text.split(" ");
+    const normalizedWord = word.toLowerCase().replace(/\.$/, "");
+    if (UNIT_WORDS[normalizedWord]) {
+      unit = UNIT_WORDS[normalizedWord];
+      text = rest.join(" ").replace(/^de(?:\s+|$)/i, "");
+    } else {
+      unit = "unidad"; // "3 huevos": la cantidad cuenta piezas.
+    }
+  }
+
+  return {
+    name: text.trim(),
+    quantity,
+    unit,
+    note: notes.filter(Boolean).join(", ") || null,
+  };
+};
+
+/**
+ * Extrae los nodos `Recipe` de un documento JSON-LD, que puede ser un único objeto, una lista
+ * o un objeto con `@graph` (como los que publican la mayoría de webs de recetas).
+ * @param {*} document El documento JSON-LD ya interpretado.
+ * @returns {object[]} Los nodos cuyo `@type` incluye `Recipe`.
+ */
+export const findRecipeNodes = (document) => {
+  if (Array.isArray(document)) {
+    return document.flatMap(findRecipeNodes);
+  }
+  if (!document || typeof document !== "object") {
+    return [];
+  }
+  if (Array.isArray(document["@graph"])) {
+    return document["@graph"].flatMap(findRecipeNodes);
+  }
+  const types = [].concat(document["@type"] || []);
+  return types.includes("Recipe") ? [document] : [];
+};
+
+/**
+ * Devuelve el primer número que aparece en un valor de schema.org ("350 kcal", ["4", "4 porciones"]).
+ * @param {*} value El valor.
+ * @returns {number|null} El número, o null si no hay ninguno.
+ */
+const firstNumber = (value) => {
+  for (const item of [].concat(value ?? [])) {
+    const match = /\d+(?:[.,]\d+)?/.exec(String(item));
+    if (match) {
+      return Number(match[0].replace(",", "."));
+    }
+  }
+  return null;
+};
+
+/**
+ * Devuelve el texto de un valor de schema.org que puede ser un texto, una lista o un objeto.
+ * @param {*} value El valor (por ejemplo, `image` como texto, lista o `ImageObject`).
+ * @returns {string|null} El primer texto o URL encontrado.
+ */
+const firstText = (value) => {
+  const [first] = [].concat(value ?? []);
+  if (first && typeof first === "object") {
+    return first.url || first.text || first.name || null;
+  }
+  return typeof first === "string" && first.trim() ? first.trim() : null;
+};
+
+/**
+ * Aplana `recipeInstructions`, que puede ser un texto, una lista de textos, de `HowToStep` o de
+ * `HowToSection` con sus propios pasos.
+ * @param {*} instructions El valor de `recipeInstructions`.
+ * @returns {string[]} Las descripciones de los pasos, en orden.
+ */
+const flattenInstructions = (instructions) => {
+  if (typeof instructions === "string") {
+    return instructions.split(/\r?\n+/).map(step => step.trim()).filter(Boolean);
+  }
+  return [].concat(instructions ?? []).flatMap(step => {
+    if (typeof step === "string") {
+      return step.trim() ? [step.trim()] : [];
+    }
+    if (step?.itemListElement) {
+      return flattenInstructions(step.itemListElement);
+    }
+    const text = step?.text || step?.name;
+    return typeof text === "string" && text.trim() ? [text.trim()] : [];
+  });
+};
+
+/**
+ * Convierte un nodo schema.org `Recipe` en los datos de una receta del recetario, con el mismo
+ * formato que recibe `POST /api/recipes`. Las calorías de schema.org son por porción, así que
+ * se multiplican por las porciones; si no vienen, se estiman a partir de los macronutrientes.
+ * @param {object} node El nodo `Recipe`.
+ * @returns {{errors: string[], recipe: object}} Lo que no se pudo convertir y la receta.
+ */
+export const jsonLdToRecipeInput = (node) => {
+  const errors = [];
+  const servings = Math.max(1, Math.round(firstNumber(node.recipeYield) ?? 1));
+  const minutes = parseIsoDuration(node.totalTime)
+    ?? ((parseIsoDuration(node.prepTime) ?? 0) + (parseIsoDuration(node.cookTime) ?? 0) || null);
+
+  const nutrition = node.nutrition || {};
+  const nutrients = {};
+  for (const field of NUTRIENT_FIELDS) {
+    const value = firstNumber(nutrition[NUTRIENT_PROPERTIES[field]]);
+    if (value !== null) {
+      nutrients[field] = Math.round(value * servings * 10) / 10;
+    }
+  }
+
+  let kcal = firstNumber(nutrition.calories);
+  if (kcal !== null) {
+    kcal = Math.round(kcal * servings);
+  } else if (nutrients.protein !== undefined && nutrients.carbs !== undefined && nutrients.fat !== undefined) {
+    kcal = Math.round(nutrients.protein * 4 + nutrients.carbs * 4 + nutrients.fat * 9);
+  } else {
+    errors.push("No se indican las calorías (nutrition.calories) ni los macronutrientes para estimarlas.");
+  }
+
+  const recipe = {
+    title: typeof node.name === "string" ? node.name.trim() : "",
+    description: typeof node.description === "string" ? node.description.trim() : "",
+    kcal,
+    servings,
+    time: minutes !== null ? formatMinutes(minutes) : "",
+    prepMinutes: minutes,
+    level: levelFromMinutes(minutes),
+    image: firstText(node.image),
+    ingredients: [].concat(node.recipeIngredient ?? node.ingredients ?? [])
+      .filter(line => typeof line === "string" && line.trim())
+      .map(parseIngredientLine),
+    steps: flattenInstructions(node.recipeInstructions),
+    ...nutrients,
+  };
+
+  if (!recipe.title) {
+    errors.push("La receta no tiene nombre (name).");
+  }
+  if (minutes === null) {
+    errors.push("No se indica la duración (totalTime, o prepTime y cookTime).");
+  }
+  if (recipe.ingredients.length === 0) {
+    errors.push("La receta no tiene ingredientes (recipeIngredient).");
+  }
+  if (recipe.steps.length === 0) {
+    errors.push("La receta no tiene pasos (recipeInstructions).");
+  }
+
+  return { errors, recipe };
+};
+
+/**
+ * Convierte una receta del recetario en un documento schema.org `Recipe` en JSON-LD.
+ * @param {object} recipe La receta, con `ingredients`, `steps` y, si se quiere, `author`.
+ * @param {string} [url] La URL pública de la receta.
+ * @returns {object} El documento JSON-LD.
+ */
+export const recipeToJsonLd = (recipe, url) => {
+  const perServing = (value) => Math.round((value / recipe.servings) * 10) / 10;
+  const nutrition = {
+    "@type": "NutritionInformation",
+    servingSize: "1 porción",
+    calories: `${Math.round(recipe.kcal / recipe.servings)} kcal`,
+  };
+  for (const field of NUTRIENT_FIELDS) {
+    if (recipe[field] !== null && recipe[field] !== undefined) {
+      nutrition[NUTRIENT_PROPERTIES[field]] = `${perServing(recipe[field])} ${field === "sodium" ? "mg" : "g"}`;
+    }
+  }
+
+  const minutes = recipe.prepMinutes;
+  return {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    ...(url ? { "@id": url, url } : {}),
+    name: recipe.title,
+    description: recipe.description,
+    ...(recipe.image ? { image: recipe.image } : {}),
+    ...(recipe.author ? { author: { "@type": "Person", name: recipe.author.name } } : {}),
+    ...(recipe.createdAt ? { datePublished: new Date(recipe.createdAt).toISOString().split("T")[0] } : {}),
+    recipeYield: String(recipe.servings),
+    ...(minutes !== null && minutes !== undefined ? { totalTime: toIsoDuration(minutes) } : {}),
+    recipeIngredient: recipe.ingredients.map(ingredient => [
+      ingredient.quantity ?? "",
+      ingredient.unit && ingredient.unit !== "unidad" ? `${ingredient.unit} de` : "",
+      ingredient.name,
+    ].filter(part => part !== "").join(" ") + (ingredient.note ? `, ${ingredient.note}` : "")),
+    recipeInstructions: recipe.steps.map(step => ({ "@type": "HowToStep", text: step.description })),
+    nutrition,
+    ...(recipe.ratingCount > 0
+      ? { aggregateRating: { "@type": "AggregateRating", ratingValue: recipe.avgRating, ratingCount: recipe.ratingCount, bestRating: 5, worstRating: 1 } }
+      : {}),
+  };
+};
+
+/**
+ * Interpreta un texto CSV (RFC 4180: campos entre comillas, comillas dobladas y saltos de
+ * línea dentro de los campos) usando la primera fila como cabecera.
+ * @param {string} text El contenido del archivo.
+ * @returns {object[]} Una fila por objeto, con las columnas de la cabecera como claves.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+  const columns = header.map(column => column.trim().replace(/^\uFEFF/, ""));
+  return body.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ""])));
+};
+
+/**
+ * Convierte una fila de un CSV de recetas en un nodo schema.org `Recipe`. Las columnas se llaman
+ * como las propiedades de schema.org (`name`, `description`, `recipeYield`, `totalTime`,
+ * `calories`, `image`, `recipeIngredient` y `recipeInstructions`); en las dos últimas, los
+ * elementos se separan con saltos de línea o con `|`.
+ * @param {object} row La fila.
+ * @returns {object} El nodo `Recipe`.
+ */
+export const csvRowToJsonLd = (row) => {
+  const list = (value) => String(value ?? "").split(/\r?\n|\|/).map(item => item.trim()).filter(Boolean);
+  return {
+    "@type": "Recipe",
+    name: row.name,
+    description: row.description,
+    recipeYield: row.recipeYield,
+    totalTime: row.totalTime,
+    prepTime: row.prepTime,
+    cookTime: row.cookTime,
+    image: row.image || undefined,
+    nutrition: {
+      calories: row.calories,
+      ...Object.fromEntries(Object.values(NUTRIENT_PROPERTIES).map(property => [property, row[property]])),
+    },
+    recipeIngredient: list(row.recipeIngredient),
+    recipeInstructions: list(row.recipeInstructions),
+  };
+};
@@ -0,0 +1,42 @@
+/**
+ * Visibilidad de las recetas: qué recetas puede ver cada usuario en listados, planes y estadísticas.
+ */
+
+// Visibilidades de una receta: todos la ven (`public`), solo quien tenga su enlace (`unlisted`)
+// o solo su autor (`private`). Los listados, búsquedas y recomendaciones solo muestran las
+// públicas y las del propio usuario.
+export const RECIPE_VISIBILITIES = ["public", "unlisted", "private"];
+
+/**
+ * Construye la condición de Prisma para las recetas que un usuario puede ver en listados y
+ * búsquedas: las públicas y, si hay sesión, las suyas con cualquier visibilidad.
+ * @param {number|undefined} userId El usuario autenticado, si lo hay.
+ * @returns {object} La condición sobre `Recipe`.
+ */
+export const visibleRecipesWhere = (userId) => (
+  userId ? { OR: [{ visibility: 'public' }, { authorId: userId }] } : { visibility: 'public' }
+);
+
+/**
+ * Indica si un usuario puede abrir una receta por su ID. Las no listadas solo se abren con su
+ * enlace (ver `GET /api/shared/recipes/:token`), salvo para su autor.
+ * @param {{visibility: string, authorId: number}} recipe La receta.
+ * @param {number|undefined} userId El usuario autenticado, si lo hay.
+ * @returns {boolean} true si puede verla.
+ */
+export const canViewRecipe = (recipe, userId) => recipe.visibility === 'public' || recipe.authorId === userId;
+
+/**
+ * Busca por su ID las recetas que un usuario puede ver. Sirve para completar resultados que se
+ * calcularon a partir de su historial: si el autor hizo privada una receta que el usuario cocinó,
+ * deja de devolverse.
+ * @param {import("@prisma/client").PrismaClient} client El cliente de Prisma.
+ * @param {number|undefined} userId El usuario autenticado, si lo hay.
+ * @param {number[]} ids Los IDs de las recetas.
+ * @param {object} select Los campos que se devuelven de cada receta.
+ * @returns {Promise<object[]>} Las recetas visibles, en cualquier orden.
+ */
+export const findVisibleRecipesById = (client, userId, ids, select) => client.recipe.findMany({
+  where: { id: { in: ids }, ...visibleRecipesWhere(userId) },
+  select,
+});
@@ -1,15 +1,55 @@
+import "dotenv/config";
 import express from "express";
 import bodyParser from "body-parser";
 import cors from "cors";
 import argon2 from "argon2";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import multer from "multer";
+import sharp from "sharp";
 import { PrismaClient } from "@prisma/client";
 import path from "path";
 import { fileURLToPath } from "url";
+import { KITCHEN_UNITS_ML, NUTRIENT_FIELDS, sumNutrition } from "./nutrition.js";
+import { normalizeIngredientKey, resolveCanonicalIngredients } from "./ingredients.js";
+import { ALLERGENS, DIETS, deriveDietaryTags } from "./dietary.js";
+import { csvRowToJsonLd, findRecipeNodes, parseCsv, recipeToJsonLd } from "./recipe-jsonld.js";
+import { createStorage } from "./storage.js";
+import { escapeIcsText, foldIcsLine } from "./ics.js";
+import { RECIPE_VISIBILITIES, canViewRecipe, findVisibleRecipesById, visibleRecipesWhere } from "./recipe-visibility.js";
+import {
+  INGREDIENT_UNITS,
+  RECIPE_LEVELS,
+  applyRecipeVisibility,
+  fillComputedNutrition,
+  generateShareToken,
+  importRecipes,
+  linkCanonicalIngredients,
+  parseRecipeInput,
+} from "./recipe-input.js";
 
-const prisma = new PrismaClient();
+// Columnas de las recetas que no se devuelven salvo que una consulta las pida expresamente: el
+// token del enlace de las no listadas, que solo debe ver su autor, y la clave interna de la foto
+// en el almacenamiento. Así no se filtran a través de planes, plantillas, colecciones o listados.
+const RECIPE_PRIVATE_FIELDS = { shareToken: true, imageKey: true };
+
+// Columnas de los usuarios que tampoco se devuelven: la clave interna del avatar en el
+// almacenamiento, que solo se lee al reemplazarlo o eliminarlo.
+const USER_PRIVATE_FIELDS = { avatarKey: true };
+
+const prisma = new PrismaClient({ omit: { recipe: RECIPE_PRIVATE_FIELDS, user: USER_PRIVATE_FIELDS } });
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Configuración de autenticación. El secreto es obligatorio: sin él cualquiera podría
+// firmar tokens válidos, por lo que el servidor se niega a arrancar.
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  throw new Error("La variable de entorno JWT_SECRET es obligatoria.");
+}
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
 // Configuración para __dirname en ES Modules, necesario para servir archivos estáticos.
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,11 +59,19 @@ const corsOptions = {
   origin: 'https://recetario-v0sf.onrender.com',
 }
 app.use(cors(corsOptions));
-app.use(bodyParser.json());
+// El límite por defecto (100 kB) se amplía para admitir lotes de recetas en `/api/recipes/import`.
+app.use(bodyParser.json({ limit: '1mb' }));
 
 // Middleware para servir los archivos estáticos del frontend desde la carpeta 'dist'
 app.use(express.static(path.join(__dirname, "dist")));
 
+// Almacenamiento de las imágenes subidas. Con el backend local, los archivos se sirven desde
+// la carpeta 'uploads'; sus nombres son únicos, así que pueden cachearse sin caducidad.
+const storage = createStorage({ UPLOADS_DIR: path.join(__dirname, "uploads"), ...process.env });
+if (storage.driver === 'local') {
+  app.use(storage.publicUrl, express.static(storage.root, { immutable: true, maxAge: '1y' }));
+}
+
 /**
  * Genera un hash de la contraseña utilizando Argon2.
  * @param {string} password La contraseña en texto plano.
@@ -43,39 +91,192 @@ const verifyPassword = (password, storedHash) => {
   return argon2.verify(storedHash, password);
 };
 
+/**
+ * Calcula el hash SHA-256 de un refresh token. En la base de datos solo se guarda el hash,
+ * de modo que una filtración de la tabla de sesiones no permite reutilizar los tokens.
+ * @param {string} token El refresh token en texto plano.
+ * @returns {string} El hash en hexadecimal.
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Firma un access token (JWT) de corta duración para una sesión.
+ * @param {number} userId El ID del usuario autenticado.
+ * @param {number} sessionId El ID de la sesión a la que pertenece el token.
+ * @returns {string} El token firmado.
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ sub: String(userId), sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+/**
+ * Crea una nueva sesión para el usuario y emite su par de tokens.
+ * @param {number} userId El ID del usuario.
+ * @param {import("express").Request} req La petición, de la que se toman el user-agent y la IP.
+ * @returns {Promise<{accessToken: string, refreshToken: string}>} Los tokens de la nueva sesión.
+ */
+const createSession = async (userId, req) => {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: req.headers["user-agent"] || null,
+      ipAddress: req.ip || null,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  });
+
+  return {
+    accessToken: signAccessToken(userId, session.id),
+    refreshToken,
+  };
+};
+
+// Middleware de autenticación. Valida el access token enviado en la cabecera
+// `Authorization: Bearer <token>` y comprueba que su sesión siga activa en la base de datos,
+// lo que permite revocar sesiones desde el servidor aunque el JWT no haya expirado.
+// Si todo es correcto, deja disponibles para el endpoint `req.userId`, `req.sessionId`, la zona
+// horaria del usuario (`req.timeZone`) y su perfil alimentario (`req.dietaryProfile`).
+const requireAuth = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ message: "No autorizado: token no proporcionado." });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ message: "No autorizado: token inválido o expirado." });
+  }
+
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: payload.sid },
+      select: {
+        userId: true,
+        revokedAt: true,
+        expiresAt: true,
+        user: { select: { timezone: true, diets: true, allergens: true } },
+      },
+    });
+
+    if (!session || session.revokedAt || session.expiresAt < new Date() || String(session.userId) !== payload.sub) {
+      return res.status(401).json({ message: "No autorizado: la sesión ha sido cerrada." });
+    }
+
+    req.userId = session.userId;
+    req.sessionId = payload.sid;
+    req.timeZone = session.user.timezone;
+    req.dietaryProfile = { diets: session.user.diets, allergens: session.user.allergens };
+    next();
+  } catch (error) {
+    console.error("Error al validar la sesión:", error);
+    res.status(500).json({ message: "Error del servidor." });
+  }
+};
+
+// Variante de `requireAuth` para los endpoints públicos que personalizan la respuesta cuando hay
+// sesión (por ejemplo, marcando las recetas favoritas). Sin cabecera `Authorization` la petición
+// sigue como anónima; si se envía un token, debe ser válido.
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return requireAuth(req, res, next);
+};
+
+/**
+ * Envía una respuesta 400 con el formato común de los errores de validación de la API:
+ * `{ message, errors }`, donde `errors` es la lista completa de problemas encontrados.
+ * @param {import("express").Response} res La respuesta.
+ * @param {string[]} errors Los mensajes de error.
+ * @param {string} [message] El resumen del error; si solo hay un error, es ese mismo mensaje.
+ */
+const sendValidationError = (res, errors, message) => {
+  res.status(400).json({
+    message: message || (errors.length === 1 ? errors[0] : "Los datos enviados no son válidos."),
+    errors,
+  });
+};
+
+/**
+ * Valida el perfil alimentario enviado al registrarse o al editar el perfil. Ambos campos son
+ * opcionales: los que no se envían no se modifican.
+ * @param {object} body El cuerpo de la petición, con `diets` y `allergens` (claves de `DIETS` y `ALLERGENS`).
+ * @returns {{errors: string[], data: {diets?: string[], allergens?: string[]}}}
+ */
+const parseDietaryProfile = (body) => {
+  const errors = [];
+  const data = {};
+  const fields = [
+    ['diets', DIETS, "Las dietas"],
+    ['allergens', ALLERGENS, "Los alérgenos"],
+  ];
+
+  for (const [field, options, label] of fields) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(body[field]) || body[field].some(value => !Object.hasOwn(options, value))) {
+      errors.push(`${label} deben ser una lista con valores de: ${Object.keys(options).join(', ')}.`);
+    } else {
+      data[field] = [...new Set(body[field])];
+    }
+  }
+
+  return { errors, data };
+};
+
 // --- Definición de Endpoints de la API ---
 
 // Endpoint para registrar un nuevo usuario.
 app.post("/api/register", async (req, res) => {
-  const { name, email, password, calorieGoal, phone, address, idNumber } = req.body;
+  const { name, email, password, calorieGoal, phone, address, idNumber, timezone } = req.body;
+  const dietary = parseDietaryProfile(req.body);
 
   // Validación básica de campos obligatorios.
   if (!name || !email || !password || !calorieGoal || !phone || !address || !idNumber) {
-    return res.status(400).json({ message: "Todos los campos son obligatorios." });
+    return sendValidationError(res, ["Todos los campos son obligatorios."]);
+  }
+  // La zona horaria es opcional; si no se indica se usa UTC.
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return sendValidationError(res, ["La zona horaria debe ser un identificador IANA válido, como 'America/Bogota'."]);
+  }
+  // Las dietas y los alérgenos también son opcionales; por defecto, ninguno.
+  if (dietary.errors.length > 0) {
+    return sendValidationError(res, dietary.errors);
   }
 
   try {
     const hashedPassword = await hashPassword(password);
-    const avatarUrl = `https://i.pravatar.cc/150?u=${encodeURIComponent(email)}`;
 
+    // La cuenta se crea sin avatar; el usuario puede subirlo con `POST /api/users/me/avatar`.
     const newUser = await prisma.user.create({
       data: {
         name,
         email,
         password: hashedPassword,
         calorieGoal: Number(calorieGoal),
-        avatar: avatarUrl,
         phone,
         address,
         idNumber,
+        timezone,
+        ...dietary.data,
       },
     });
 
-    // Devuelve el objeto del nuevo usuario, excluyendo la contraseña por seguridad.
+    // Devuelve el objeto del nuevo usuario, excluyendo la contraseña por seguridad,
+    // junto con los tokens de su primera sesión.
     const userToReturn = { ...newUser };
     delete userToReturn.password;
+    delete userToReturn.calendarTokenHash;
 
-    res.status(201).json(userToReturn);
+    const tokens = await createSession(newUser.id, req);
+    res.status(201).json({ user: userToReturn, ...tokens });
   } catch (error) {
     // Maneja el error de restricción ÚNICA para el correo electrónico.
     if (error.code === 'P2002' && error.meta?.target?.includes('email')) {
@@ -93,7 +294,7 @@ app.post("/api/login", async (req, res) => {
 
   if (!email || !password) {
     console.log("[Login Failure] Email o contraseña no proporcionados.");
-    return res.status(400).json({ message: "Correo y contraseña son obligatorios." });
+    return sendValidationError(res, ["Correo y contraseña son obligatorios."]);
   }
 
   try {
@@ -112,601 +313,4502 @@ app.post("/api/login", async (req, res) => {
       return res.status(401).json({ message: "Correo o contraseña incorrectos." });
     }
 
-    // Devuelve el objeto del usuario encontrado, excluyendo la contraseña por seguridad.
+    // Devuelve el objeto del usuario encontrado, excluyendo la contraseña (y el hash del token
+    // del calendario) por seguridad.
     const userToReturn = { ...user };
     delete userToReturn.password;
+    delete userToReturn.calendarTokenHash;
+
+    const tokens = await createSession(user.id, req);
 
     console.log(`[Login Success] Usuario autenticado: ${email}`);
-    res.status(200).json(userToReturn);
+    res.status(200).json({ user: userToReturn, ...tokens });
   } catch (error) {
     console.error("[Login Error] Error inesperado durante el login:", error);
     res.status(500).json({ message: "Error del servidor." });
   }
 });
 
-// --- Endpoints de Recetas ---
+// Endpoint para renovar el access token a partir de un refresh token.
+// El refresh token se rota en cada uso: el anterior deja de ser válido inmediatamente.
+app.post("/api/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
 
-// Endpoint para obtener todas las recetas.
-app.get("/api/recipes", async (req, res) => {
-  try {
-    const recipes = await prisma.recipe.findMany({
-      include: {
-        ingredients: true, // Incluye los ingredientes relacionados
-        steps: {
-          orderBy: {
-            order: 'asc', // Ordena los pasos
-          },
-        },
-      },
-    });
-    res.status(200).json(recipes);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Error al obtener las recetas." });
+  if (!refreshToken) {
+    return sendValidationError(res, ["El refresh token es obligatorio."]);
   }
-});
-
 
+  try {
+    const refreshTokenHash = hashToken(refreshToken);
+    const session = await prisma.session.findUnique({
+      where: { refreshTokenHash },
+    });
 
-// Busca recetas que contengan un ingrediente específico.
-// La búsqueda es case-insensitive gracias al `mode: 'insensitive'`, compatible con PostgreSQL.
-app.get("/api/recipes/search", async (req, res) => {
-  const { ingredient } = req.query;
-
-  if (!ingredient) {
-    return res.status(400).json({ message: "El parámetro 'ingredient' es requerido." });
-  }
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: "Refresh token inválido o expirado." });
+    }
 
-  try {
-    const recipes = await prisma.recipe.findMany({
-      where: {
-        ingredients: {
-          some: {
-            name: {
-              contains: ingredient,
-              mode: 'insensitive',
-            },
-          },
-        },
-      },
-      include: {
-        ingredients: true,
-        steps: {
-          orderBy: {
-            order: 'asc',
-          },
-        },
+    // La rotación solo se aplica si el token sigue siendo el vigente: de dos peticiones
+    // simultáneas con el mismo refresh token, solo una obtiene tokens nuevos.
+    const newRefreshToken = crypto.randomBytes(48).toString("base64url");
+    const { count } = await prisma.session.updateMany({
+      where: { id: session.id, refreshTokenHash, revokedAt: null },
+      data: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
       },
     });
-    res.status(200).json(recipes);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Error al buscar recetas." });
-  }
-});
 
-// Devuelve una lista plana [string, string, ...] de todos los nombres de ingredientes
-// únicos en la base de datos. Ideal para funciones de autocompletado en el frontend.
-app.get("/api/ingredients/unique", async (req, res) => {
-  try {
-    const ingredients = await prisma.ingredient.findMany({
-      distinct: ['name'],
-      select: {
-        name: true,
-      },
-      orderBy: {
-        name: 'asc',
-      },
+    if (count === 0) {
+      return res.status(401).json({ message: "Refresh token inválido o expirado." });
+    }
+
+    res.status(200).json({
+      accessToken: signAccessToken(session.userId, session.id),
+      refreshToken: newRefreshToken,
     });
-    res.status(200).json(ingredients.map(i => i.name));
   } catch (error) {
-    console.error("Error al obtener ingredientes únicos:", error);
-    res.status(500).json({ message: "Error al obtener ingredientes." });
+    console.error("Error al renovar el token:", error);
+    res.status(500).json({ message: "Error del servidor." });
   }
 });
 
-// Endpoint para obtener todos los nombres de ingredientes únicos.
-app.get("/api/ingredients/unique", async (req, res) => {
+// Endpoint para cerrar la sesión actual. La sesión queda revocada en el servidor,
+// por lo que ni su access token ni su refresh token vuelven a ser aceptados.
+app.post("/api/logout", requireAuth, async (req, res) => {
   try {
-    const ingredients = await prisma.ingredient.findMany({
-      distinct: ['name'],
-      select: {
-        name: true,
-      },
-      orderBy: {
-        name: 'asc',
-      },
+    await prisma.session.update({
+      where: { id: req.sessionId },
+      data: { revokedAt: new Date() },
     });
-    res.status(200).json(ingredients.map(i => i.name));
+    res.status(204).send();
   } catch (error) {
-    console.error("Error al obtener ingredientes únicos:", error);
-    res.status(500).json({ message: "Error al obtener ingredientes." });
+    console.error("Error al cerrar la sesión:", error);
+    res.status(500).json({ message: "Error al cerrar la sesión." });
   }
 });
 
-// --- Endpoints del Planificador ---
+// --- Endpoints de Recetas ---
 
-// Middleware de autenticación simulado. Extrae el ID de usuario de las cabeceras.
-// ATENCIÓN: Este método no es seguro para producción. En una aplicación real, se debe
-// implementar un sistema de autenticación basado en tokens (ej. JWT).
-const getUserId = (req) => {
-  const userId = req.headers['x-user-id'];
-  return userId ? parseInt(userId, 10) : null;
+/**
+ * Devuelve el perfil alimentario con el que deben filtrarse las recetas de una petición, o null
+ * si no hay que filtrar: la petición es anónima, el usuario no tiene dietas ni alérgenos, o el
+ * cliente desactivó el filtro con `ignoreDietaryProfile=true` (en la URL o en el cuerpo).
+ * @param {import("express").Request} req La petición, ya pasada por `requireAuth` u `optionalAuth`.
+ * @returns {{diets: string[], allergens: string[]}|null} El perfil, o null.
+ */
+const dietaryFilterFor = (req) => {
+  const profile = req.dietaryProfile;
+  const ignored = req.query.ignoreDietaryProfile === 'true' || req.body?.ignoreDietaryProfile === true;
+  if (ignored || !profile || (profile.diets.length === 0 && profile.allergens.length === 0)) {
+    return null;
+  }
+  return profile;
 };
 
-// Obtiene o crea el planificador para el día de calendario actual (en UTC).
-// Utiliza `upsert` para garantizar que solo exista un `DailyPlan` por usuario y día.
-app.get("/api/planner/today", async (req, res) => {
-  const userId = getUserId(req);
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado: ID de usuario no proporcionado." });
+/**
+ * Construye la condición de Prisma para las recetas compatibles con un perfil alimentario: sin
+ * ninguno de sus alérgenos y aptas para todas sus dietas. Las recetas que aún no se han
+ * etiquetado (`dietaryTaggedAt` nulo) se excluyen, porque no se sabe si son seguras.
+ * @param {{diets: string[], allergens: string[]}|null} profile El perfil (ver `dietaryFilterFor`).
+ * @returns {object} La condición sobre `Recipe`; vacía si no hay perfil.
+ */
+const dietaryRecipesWhere = (profile) => {
+  if (!profile) {
+    return {};
+  }
+  const where = { dietaryTaggedAt: { not: null } };
+  if (profile.allergens.length > 0) {
+    where.NOT = { allergens: { hasSome: profile.allergens } };
   }
+  if (profile.diets.length > 0) {
+    where.diets = { hasEvery: profile.diets };
+  }
+  return where;
+};
 
-  try {
-    // Verificar si el usuario realmente existe para evitar errores de clave foránea.
-    const user = await prisma.user.findUnique({ where: { id: userId } });
-    if (!user) {
-      return res.status(401).json({ message: "No autorizado: El usuario no existe." });
-    }
+// Relaciones que se incluyen al devolver una receta completa: sus ingredientes y sus pasos en orden.
+const RECIPE_INCLUDE = {
+  ingredients: true,
+  steps: {
+    orderBy: {
+      order: 'asc',
+    },
+  },
+};
 
-    // Normaliza la fecha a la medianoche UTC para garantizar la unicidad por día de calendario,
-    // independientemente de la zona horaria del cliente o del servidor.
-    const now = new Date();
-    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-    const plan = await prisma.dailyPlan.upsert({
-      where: {
-        userId_date: {
-          userId: userId,
-          date: today,
-        },
-      },
-      update: {}, // Si se encuentra, no hacer nada, solo devolverlo con sus relaciones.
-      create: {
-        userId: userId,
-        date: today,
-      },
-      include: {
-        entries: {
-          include: {
-            recipe: true,
-          },
-          orderBy: {
-            id: 'asc',
-          },
-        },
-      },
-    });
+// Campos de una receta necesarios para calcular los totales nutricionales de un día.
+const RECIPE_NUTRITION_SELECT = {
+  kcal: true,
+  servings: true,
+  ...Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, true])),
+};
 
-    res.status(200).json(plan);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Error al obtener el planificador diario." });
-  }
-});
+// Campos públicos del autor de una receta. Nunca se exponen el correo, el teléfono,
+// la dirección ni el documento de identidad de otros usuarios.
+const PUBLIC_AUTHOR_SELECT = {
+  id: true,
+  name: true,
+  avatar: true,
+  avatarThumbnail: true,
+};
+
+// Criterios de ordenación admitidos por el listado de recetas. La popularidad es el número
+// de veces que la receta aparece en los planificadores de los usuarios. Al ordenar por
+// valoración, las recetas que nadie ha valorado van siempre al final.
+const RECIPE_SORTS = {
+  createdAt: (order) => ({ createdAt: order }),
+  kcal: (order) => ({ kcal: order }),
+  popularity: (order) => ({ planEntries: { _count: order } }),
+  rating: (order) => [{ avgRating: { sort: order, nulls: 'last' } }, { ratingCount: order }],
+};
+
+// Sistemas de unidades a los que se puede convertir una receta.
+const UNIT_SYSTEMS = ["metric", "cups"];
 
-// Endpoint para añadir una receta al planificador del día.
-app.post("/api/planner/entries", async (req, res) => {
-  const userId = getUserId(req);
-  const { recipeId, planId } = req.body;
+/**
+ * Redondea una cantidad a dos decimales para evitar valores como 0.30000000000000004.
+ * @param {number} value La cantidad.
+ * @returns {number} La cantidad redondeada.
+ */
+const roundQuantity = (value) => Math.round(value * 100) / 100;
 
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+/**
+ * Convierte la cantidad de un ingrediente al sistema de unidades indicado.
+ * Solo se convierten volúmenes: los pesos y las unidades sueltas se mantienen, ya que pasar
+ * de gramos a tazas requeriría conocer la densidad de cada ingrediente.
+ * @param {number} quantity La cantidad original.
+ * @param {string} unit La unidad original.
+ * @param {"metric"|"cups"} system El sistema de destino.
+ * @returns {{quantity: number, unit: string}} La cantidad y la unidad convertidas.
+ */
+const convertQuantity = (quantity, unit, system) => {
+  if (system === 'metric' && KITCHEN_UNITS_ML[unit]) {
+    const ml = quantity * KITCHEN_UNITS_ML[unit];
+    return ml >= 1000 ? { quantity: ml / 1000, unit: 'l' } : { quantity: ml, unit: 'ml' };
   }
-  if (!recipeId || !planId) {
-    return res.status(400).json({ message: "recipeId y planId son requeridos." });
+
+  if (system === 'cups' && (unit === 'ml' || unit === 'l')) {
+    const ml = unit === 'l' ? quantity * 1000 : quantity;
+    // Se elige la medida más grande que no deje una cantidad menor que 1/4.
+    const target = ml >= KITCHEN_UNITS_ML.taza / 4 ? 'taza' : ml >= KITCHEN_UNITS_ML.cucharada ? 'cucharada' : 'cucharadita';
+    return { quantity: ml / KITCHEN_UNITS_ML[target], unit: target };
   }
 
-  try {
-    const newEntry = await prisma.planEntry.create({
-      data: {
-        planId,
-        recipeId,
-      },
-      include: {
-        recipe: true // Devolver la receta completa para actualizar la UI
+  return { quantity, unit };
+};
+
+/**
+ * Escala las calorías y los nutrientes de una receta a un número de porciones.
+ * @param {object} recipe La receta, con `servings`, `kcal` y los campos de `NUTRIENT_FIELDS`.
+ * @param {number} servings Las porciones consumidas.
+ * @returns {object} Un objeto con `kcal` y cada nutriente ajustados a esas porciones.
+ */
+const scaleNutrition = (recipe, servings) => {
+  const factor = servings / recipe.servings;
+  return {
+    kcal: Math.round(recipe.kcal * factor),
+    ...Object.fromEntries(NUTRIENT_FIELDS.map(field => [
+      field,
+      recipe[field] === null || recipe[field] === undefined ? null : Math.round(recipe[field] * factor * 10) / 10,
+    ])),
+  };
+};
+
+/**
+ * Escala una receta a un número de porciones y, opcionalmente, convierte sus unidades.
+ * Las calorías y los nutrientes de la receta corresponden a sus porciones base, por lo que
+ * se escalan igual que las cantidades de los ingredientes.
+ * @param {object} recipe La receta con sus ingredientes.
+ * @param {number} [servings] Las porciones deseadas; por defecto, las porciones base.
+ * @param {"metric"|"cups"} [system] El sistema de unidades de destino, si se quiere convertir.
+ * @returns {object} Una copia de la receta con las cantidades ajustadas.
+ */
+const scaleRecipe = (recipe, servings = recipe.servings, system = null) => {
+  const factor = servings / recipe.servings;
+
+  return {
+    ...recipe,
+    ...scaleNutrition(recipe, servings),
+    servings,
+    baseServings: recipe.servings,
+    ingredients: recipe.ingredients.map(ingredient => {
+      if (ingredient.quantity === null) {
+        return ingredient;
       }
-    });
-    res.status(201).json(newEntry);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Error al añadir la receta al plan." });
-  }
-});
+      const converted = system
+        ? convertQuantity(ingredient.quantity * factor, ingredient.unit, system)
+        : { quantity: ingredient.quantity * factor, unit: ingredient.unit };
+      return { ...ingredient, quantity: roundQuantity(converted.quantity), unit: converted.unit };
+    }),
+  };
+};
 
-// Endpoint para eliminar una entrada del planificador.
-app.delete("/api/planner/entries/:id", async (req, res) => {
-  const userId = getUserId(req);
-  const entryId = parseInt(req.params.id, 10);
+/**
+ * Comprueba que una receta exista y que pertenezca al usuario indicado.
+ * Si no es así, envía la respuesta de error correspondiente (404 o 403).
+ * @param {number} recipeId El ID de la receta.
+ * @param {number} userId El ID del usuario que intenta modificarla.
+ * @param {import("express").Response} res La respuesta, usada para enviar el error.
+ * @returns {Promise<object|null>} La receta (su autor y su imagen) si el usuario puede
+ *   modificarla, o null si ya se envió el error.
+ */
+const ensureRecipeAuthor = async (recipeId, userId, res) => {
+  const recipe = Number.isInteger(recipeId)
+    ? await prisma.recipe.findUnique({ where: { id: recipeId }, select: { authorId: true, image: true, imageKey: true, shareToken: true } })
+    : null;
 
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+  if (!recipe) {
+    res.status(404).json({ message: "Receta no encontrada." });
+    return null;
+  }
+  if (recipe.authorId !== userId) {
+    res.status(403).json({ message: "Solo el autor puede modificar esta receta." });
+    return null;
   }
+  return recipe;
+};
 
-  try {
-    // Verificación opcional: asegurar que la entrada pertenezca al plan del usuario.
-    const entry = await prisma.planEntry.findUnique({
-      where: { id: entryId },
-      select: { plan: { select: { userId: true } } },
+/**
+ * Comprueba que la receta existe y que el usuario puede verla (ver `canViewRecipe`) y, si no,
+ * envía la respuesta 404.
+ * @param {number} recipeId El ID de la receta (ya convertido a número).
+ * @param {number|undefined} userId El usuario autenticado, si lo hay.
+ * @param {import("express").Response} res La respuesta, para enviar el error si lo hay.
+ * @returns {Promise<{authorId: number, visibility: string}|null>} La receta, o null si ya se envió el error.
+ */
+const findVisibleRecipe = async (recipeId, userId, res) => {
+  const recipe = Number.isInteger(recipeId)
+    ? await prisma.recipe.findUnique({ where: { id: recipeId }, select: { authorId: true, visibility: true } })
+    : null;
+  if (!recipe || !canViewRecipe(recipe, userId)) {
+    res.status(404).json({ message: "Receta no encontrada." });
+    return null;
+  }
+  return recipe;
+};
+
+/**
+ * Añade a cada receta `favorited`, que indica si el usuario la tiene entre sus favoritas.
+ * En las peticiones anónimas (sin `userId`) vale siempre false.
+ * @param {object[]} recipes Las recetas.
+ * @param {number|undefined} userId El usuario autenticado, si lo hay.
+ * @returns {Promise<object[]>} Las recetas con `favorited`, en el mismo orden.
+ */
+const withFavorites = async (recipes, userId) => {
+  const favoriteIds = new Set();
+  if (userId && recipes.length > 0) {
+    const favorites = await prisma.favoriteRecipe.findMany({
+      where: { userId, recipeId: { in: recipes.map(recipe => recipe.id) } },
+      select: { recipeId: true },
     });
+    favorites.forEach(favorite => favoriteIds.add(favorite.recipeId));
+  }
+  return recipes.map(recipe => ({ ...recipe, favorited: favoriteIds.has(recipe.id) }));
+};
 
-    if (!entry || entry.plan.userId !== userId) {
-      return res.status(404).json({ message: "Entrada no encontrada o no pertenece al usuario." });
+/**
+ * Interpreta los parámetros de filtrado, ordenación y paginación del listado de recetas.
+ * @param {object} query Los parámetros de la URL (`req.query`).
+ * @returns {{errors: string[], where: object, orderBy: object[], limit: number, page: number, cursor: number|null}}
+ *   Los errores encontrados y los argumentos listos para `prisma.recipe.findMany`.
+ */
+const parseRecipeListQuery = (query) => {
+  const errors = [];
+  const where = {};
+
+  const readInt = (name, min = 0) => {
+    if (query[name] === undefined || query[name] === '') {
+      return undefined;
+    }
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < min) {
+      errors.push(`El parámetro '${name}' debe ser un número entero mayor o igual que ${min}.`);
+      return undefined;
     }
+    return value;
+  };
 
-    await prisma.planEntry.delete({
-      where: { id: entryId },
-    });
-    res.status(204).send(); // 204 No Content
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Error al eliminar la receta del plan." });
+  const minKcal = readInt('minKcal');
+  const maxKcal = readInt('maxKcal');
+  if (minKcal !== undefined || maxKcal !== undefined) {
+    where.kcal = { gte: minKcal, lte: maxKcal };
   }
-});
 
-// --- Endpoints de Usuario ---
+  const maxTime = readInt('maxTime');
+  if (maxTime !== undefined) {
+    where.prepMinutes = { lte: maxTime };
+  }
 
-// Endpoint para obtener la fecha de la primera entrada del historial del usuario.
-app.get("/api/users/me/first-entry-date", async (req, res) => {
-  const userId = getUserId(req);
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+  if (query.level !== undefined) {
+    if (!RECIPE_LEVELS.includes(query.level)) {
+      errors.push(`El parámetro 'level' debe ser uno de: ${RECIPE_LEVELS.join(', ')}.`);
+    } else {
+      where.level = query.level;
+    }
   }
 
-  try {
-    const firstPlan = await prisma.dailyPlan.findFirst({
-      where: { userId },
-      orderBy: {
-        date: 'asc',
-      },
-      select: {
-        date: true,
-      },
-    });
+  const authorId = readInt('authorId', 1);
+  if (authorId !== undefined) {
+    where.authorId = authorId;
+  }
 
-    res.status(200).json({ firstEntryDate: firstPlan ? firstPlan.date : null });
-  } catch (error) {
-    console.error("Error al obtener la primera fecha de entrada:", error);
-    res.status(500).json({ message: "Error al obtener la fecha." });
+  if (typeof query.q === 'string' && query.q.trim()) {
+    where.title = { contains: query.q.trim(), mode: 'insensitive' };
   }
-});
 
-// Endpoint para actualizar el perfil del usuario.
-app.put("/api/users/me", async (req, res) => {
-  const userId = getUserId(req);
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+  const sort = query.sort || 'createdAt';
+  const order = query.order || 'desc';
+  if (!RECIPE_SORTS[sort]) {
+    errors.push(`El parámetro 'sort' debe ser uno de: ${Object.keys(RECIPE_SORTS).join(', ')}.`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    errors.push("El parámetro 'order' debe ser 'asc' o 'desc'.");
   }
 
-  // Se extraen solo los campos que permitimos actualizar.
-  const { name, calorieGoal, phone, address, idNumber } = req.body;
+  const limit = Math.min(readInt('limit', 1) ?? 20, 100);
+  const page = readInt('page', 1) ?? 1;
+  const cursor = readInt('cursor', 1) ?? null;
 
-  // Validación básica
-  if (!name || !calorieGoal || !phone || !address || !idNumber) {
-    return res.status(400).json({ message: "Todos los campos son obligatorios." });
+  // El ID se añade como criterio de desempate para que el orden sea estable entre páginas,
+  // requisito indispensable para la paginación por cursor.
+  const orderBy = errors.length > 0 ? [] : [...[].concat(RECIPE_SORTS[sort](order)), { id: order }];
+
+  return { errors, where, orderBy, limit, page, cursor };
+};
+
+// Endpoint para listar recetas con filtros, ordenación y paginación.
+// Admite paginación por página (`page` y `limit`) o por cursor (`cursor` con el `nextCursor`
+// de la respuesta anterior), pensada para el scroll infinito del frontend.
+// Filtros: `minKcal`, `maxKcal`, `level`, `maxTime` (minutos), `authorId` y `q` (texto del título).
+// Ordenación: `sort` (createdAt, kcal, popularity o rating) y `order` (asc o desc).
+// Solo se listan las recetas públicas y, si la petición está autenticada, las del propio usuario.
+// Con sesión, se omiten también las recetas que no encajan en el perfil alimentario del usuario
+// (dietas y alérgenos); `ignoreDietaryProfile=true` desactiva ese filtro. El filtro aplicado se
+// devuelve en `meta.dietaryFilter`.
+// Cada receta incluye su valoración media (`avgRating`), el número de valoraciones
+// (`ratingCount`) y, si la petición está autenticada, si el usuario la tiene en favoritas (`favorited`).
+app.get("/api/recipes", optionalAuth, async (req, res) => {
+  const { errors, where: filters, orderBy, limit, page, cursor } = parseRecipeListQuery(req.query);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Parámetros de búsqueda inválidos.");
   }
+  const dietaryFilter = dietaryFilterFor(req);
+  const where = { AND: [filters, visibleRecipesWhere(req.userId), dietaryRecipesWhere(dietaryFilter)] };
 
   try {
-    const updatedUser = await prisma.user.update({
-      where: { id: userId },
-      data: {
-        name,
-        calorieGoal: Number(calorieGoal),
-        phone,
-        address,
-        idNumber,
-      },
-    });
+    // Se pide un elemento de más para saber si existe una página siguiente sin otra consulta.
+    const [total, recipes] = await prisma.$transaction([
+      prisma.recipe.count({ where }),
+      prisma.recipe.findMany({
+        where,
+        orderBy,
+        take: limit + 1,
+        ...(cursor
+          ? { cursor: { id: cursor }, skip: 1 }
+          : { skip: (page - 1) * limit }),
+        include: RECIPE_INCLUDE, // Incluye los ingredientes y los pasos ordenados
+      }),
+    ]);
 
-    // Se elimina la contraseña del objeto antes de devolverlo.
-    const userToReturn = { ...updatedUser };
-    delete userToReturn.password;
+    const hasMore = recipes.length > limit;
+    const data = await withFavorites(hasMore ? recipes.slice(0, limit) : recipes, req.userId);
 
-    res.status(200).json(userToReturn);
+    res.status(200).json({
+      data,
+      meta: {
+        total,
+        limit,
+        page: cursor ? null : page,
+        hasMore,
+        nextCursor: hasMore ? data[data.length - 1].id : null,
+        dietaryFilter,
+      },
+    });
   } catch (error) {
-    console.error("Error al actualizar el perfil:", error);
-    res.status(500).json({ message: "Error al actualizar el perfil." });
+    console.error(error);
+    res.status(500).json({ message: "Error al obtener las recetas." });
   }
 });
 
-// Recomienda recetas al usuario basándose en los ingredientes de su despensa.
-// Calcula un "match score" para cada receta y devuelve las que mejor coinciden.
-app.get("/api/users/me/recommended-recipes", async (req, res) => {
-  const userId = getUserId(req);
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+/**
+ * Convierte un parámetro de lista de la URL en un array de textos normalizados.
+ * Admite tanto valores separados por comas (`?any=ajo,cebolla`) como parámetros repetidos
+ * (`?any=ajo&any=cebolla`).
+ * @param {string|string[]|undefined} value El valor recibido en `req.query`.
+ * @returns {string[]} Los valores sin espacios sobrantes, en minúsculas y sin duplicados.
+ */
+const parseListParam = (value) => {
+  if (value === undefined) {
+    return [];
   }
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(values)];
+};
+
+/**
+ * Construye el filtro de Prisma para ingredientes cuyo nombre contiene el texto dado, ya sea en
+ * el nombre escrito en la receta o en el nombre canónico y los alias del ingrediente enlazado.
+ * @param {string} name El texto a buscar.
+ * @returns {object} La condición sobre `Ingredient`.
+ */
+const ingredientNameContains = (name) => {
+  const key = normalizeIngredientKey(name);
+  return {
+    OR: [
+      { name: { contains: name, mode: 'insensitive' } },
+      { canonical: { key: { contains: key } } },
+      { canonical: { aliases: { some: { key: { contains: key } } } } },
+    ],
+  };
+};
 
-  const take = parseInt(req.query.take) || 3;
+// Busca recetas por ingredientes. La búsqueda es case-insensitive gracias al
+// `mode: 'insensitive'`, compatible con PostgreSQL.
+// - `all`: la receta debe contener todos estos ingredientes.
+// - `any`: la receta debe contener al menos uno de estos ingredientes.
+// - `exclude`: la receta no puede contener ninguno de estos ingredientes.
+// El parámetro histórico `ingredient` se sigue aceptando y equivale a `any` con un solo valor.
+// Como en el listado, solo se buscan las recetas públicas y las del propio usuario, y las que
+// encajan en su perfil alimentario salvo con `ignoreDietaryProfile=true`.
+// Los resultados se ordenan por el número de ingredientes solicitados (`all` y `any`) que contienen.
+app.get("/api/recipes/search", optionalAuth, async (req, res) => {
+  const all = parseListParam(req.query.all);
+  const any = parseListParam(req.query.any).concat(parseListParam(req.query.ingredient));
+  const exclude = parseListParam(req.query.exclude);
 
-  try {
-    // Paso 1: Obtener los ingredientes actuales de la despensa del usuario.
-    const pantryItems = await prisma.userPantryItem.findMany({
-      where: { userId },
-      select: { ingredientName: true },
-    });
-    const pantrySet = new Set(pantryItems.map(item => item.ingredientName));
+  if (all.length === 0 && any.length === 0 && exclude.length === 0) {
+    return sendValidationError(res, ["Se requiere al menos uno de los parámetros 'ingredient', 'all', 'any' o 'exclude'."]);
+  }
 
-    if (pantrySet.size === 0) {
-      // Si la despensa está vacía, la lógica de recomendación no puede funcionar.
-      // Se devuelve un conjunto de recetas aleatorias como fallback.
-      const fallbackRecipes = await prisma.recipe.findMany({
-        take,
-        include: { ingredients: true, steps: { orderBy: { order: 'asc' } } },
-      });
-      return res.status(200).json(fallbackRecipes);
-    }
+  const conditions = all.map(name => ({ ingredients: { some: ingredientNameContains(name) } }));
+  conditions.push(visibleRecipesWhere(req.userId), dietaryRecipesWhere(dietaryFilterFor(req)));
+  if (any.length > 0) {
+    conditions.push({ ingredients: { some: { OR: any.map(ingredientNameContains) } } });
+  }
+  if (exclude.length > 0) {
+    conditions.push({ ingredients: { none: { OR: exclude.map(ingredientNameContains) } } });
+  }
 
-    // Paso 2: Obtener todas las recetas y los nombres de sus ingredientes.
-    // Se seleccionan solo los nombres para optimizar la consulta.
-    const allRecipes = await prisma.recipe.findMany({
+  try {
+    const recipes = await prisma.recipe.findMany({
+      where: { AND: conditions },
       include: {
+        ...RECIPE_INCLUDE,
         ingredients: {
-          select: { name: true },
+          include: { canonical: { select: { key: true, aliases: { select: { key: true } } } } },
         },
       },
     });
 
-    // Paso 3: Calcular un "match score" para cada receta.
-    // El score es el porcentaje de ingredientes que el usuario tiene en su despensa.
-    // (Ingredientes que coinciden / Total de ingredientes de la receta)
-    const scoredRecipes = allRecipes.map(recipe => {
-      const recipeIngredients = new Set(recipe.ingredients.map(ing => ing.name));
-      let matchCount = 0;
-      for (const pantryIng of pantrySet) {
-        if (recipeIngredients.has(pantryIng)) {
-          matchCount++;
-        }
-      }
-      const score = matchCount / recipeIngredients.size;
-      return { ...recipe, score };
-    });
+    // Ranking: cuántos de los ingredientes solicitados aparecen en cada receta, comparando
+    // con el nombre escrito, el nombre canónico y los alias, igual que el filtro de la consulta.
+    const requested = [...new Set([...all, ...any])];
+    const ranked = recipes
+      .map(recipe => {
+        const names = recipe.ingredients.flatMap(ing => [
+          ing.name.toLowerCase(),
+          ...(ing.canonical ? [ing.canonical.key, ...ing.canonical.aliases.map(alias => alias.key)] : []),
+        ]);
+        const matchedIngredients = requested.filter(term => (
+          names.some(name => name.includes(term.toLowerCase()) || name.includes(normalizeIngredientKey(term)))
+        ));
+        const ingredients = recipe.ingredients.map(({ canonical, ...ingredient }) => ingredient);
+        return { ...recipe, ingredients, matchCount: matchedIngredients.length, matchedIngredients };
+      })
+      .sort((a, b) => b.matchCount - a.matchCount || a.id - b.id);
 
-    // Paso 4: Ordenar las recetas por su score de mayor a menor y tomar las mejores.
-    const sortedRecipes = scoredRecipes.sort((a, b) => b.score - a.score);
-    const topRecipeIds = sortedRecipes.slice(0, take).map(r => r.id);
+    res.status(200).json(await withFavorites(ranked, req.userId));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error al buscar recetas." });
+  }
+});
 
-    // Paso 5: Con los IDs de las mejores recetas, se realiza una segunda consulta
-    // para obtener todos sus detalles (pasos, etc.) y enviarlos al frontend.
-    const recommendedRecipes = await prisma.recipe.findMany({
-      where: {
-        id: { in: topRecipeIds },
-      },
+// Endpoint para obtener el detalle de una receta: pasos ordenados, ingredientes,
+// el perfil público de su autor y estadísticas de uso en los planificadores.
+// Si la petición está autenticada, incluye también si el usuario la tiene en favoritas
+// (`favorited`) y su propia valoración (`userRating`, o null si aún no la ha valorado).
+// Con `?servings=N` la receta se devuelve escalada a N porciones (calorías incluidas) y con
+// `?units=metric|cups` las cantidades se convierten entre mililitros y tazas/cucharadas.
+// Las recetas privadas y las no listadas solo las ve aquí su autor; para el resto responde 404.
+// Debe declararse después de `/api/recipes/search` para que "search" no se interprete como un ID.
+app.get("/api/recipes/:id", optionalAuth, async (req, res) => {
+  const recipeId = parseInt(req.params.id, 10);
+  const servings = req.query.servings !== undefined ? Number(req.query.servings) : null;
+  const units = req.query.units || null;
+
+  if (!Number.isInteger(recipeId)) {
+    return res.status(404).json({ message: "Receta no encontrada." });
+  }
+
+  const errors = [];
+  if (servings !== null && (!Number.isInteger(servings) || servings < 1)) {
+    errors.push("El parámetro 'servings' debe ser un número entero positivo.");
+  }
+  if (units !== null && !UNIT_SYSTEMS.includes(units)) {
+    errors.push(`El parámetro 'units' debe ser uno de: ${UNIT_SYSTEMS.join(', ')}.`);
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Parámetros inválidos.");
+  }
+
+  try {
+    const recipe = await prisma.recipe.findUnique({
+      where: { id: recipeId },
       include: {
-        ingredients: true,
-        steps: { orderBy: { order: 'asc' } },
+        ...RECIPE_INCLUDE,
+        author: { select: PUBLIC_AUTHOR_SELECT },
+        _count: { select: { planEntries: true } },
       },
+      // Las no listadas solo las abre aquí su autor, así que puede recibir el token del enlace.
+      omit: { shareToken: false },
     });
 
-    // La búsqueda con `in` no garantiza el orden, por lo que se reordena el resultado final
-    // para asegurar que las recetas con el score más alto aparezcan primero.
-    const finalOrder = recommendedRecipes.sort((a, b) => {
-      const scoreA = sortedRecipes.find(r => r.id === a.id)?.score || 0;
-      const scoreB = sortedRecipes.find(r => r.id === b.id)?.score || 0;
-      return scoreB - scoreA;
-    });
+    if (!recipe || !canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json({ message: "Receta no encontrada." });
+    }
+
+    // Número de usuarios distintos que han incluido la receta en alguno de sus planes.
+    const [plannedByUsers, userRating] = await Promise.all([
+      prisma.user.count({
+        where: {
+          plans: { some: { entries: { some: { recipeId } } } },
+        },
+      }),
+      req.userId
+        ? prisma.recipeRating.findUnique({
+          where: { userId_recipeId: { userId: req.userId, recipeId } },
+          select: RATING_SELECT,
+        })
+        : null,
+    ]);
 
-    res.status(200).json(finalOrder);
+    const { _count, ...recipeData } = recipe;
+    const [withFavorite] = await withFavorites([recipeData], req.userId);
+    res.status(200).json({
+      ...scaleRecipe(withFavorite, servings ?? recipeData.servings, units),
+      userRating,
+      stats: {
+        timesPlanned: _count.planEntries,
+        plannedByUsers,
+      },
+    });
   } catch (error) {
-    console.error("Error al obtener recetas recomendadas:", error);
-    res.status(500).json({ message: "Error al obtener recomendaciones." });
+    console.error("Error al obtener la receta:", error);
+    res.status(500).json({ message: "Error al obtener la receta." });
   }
 });
 
-// Endpoint para obtener el historial calórico para un rango de 7 días que comienza en una fecha específica.
-app.get("/api/users/me/calorie-history", async (req, res) => {
-  const userId = getUserId(req);
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+// Endpoint para publicar una nueva receta. El usuario autenticado queda como autor.
+// Los ingredientes y pasos se crean en la misma escritura anidada que la receta.
+// Los nutrientes que el autor no indique se calculan a partir de los ingredientes, igual que
+// los alérgenos (`allergens`) y las dietas compatibles (`diets`).
+// Con `visibility` (public, unlisted o private; por defecto, public) se elige quién puede verla;
+// las no listadas se devuelven con el `shareToken` de su enlace (`/api/shared/recipes/:token`).
+app.post("/api/recipes", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const { errors, data, ingredients, steps } = parseRecipeInput(req.body);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos de la receta inválidos.");
   }
 
-  const startDateString = req.query.startDate;
-  const timezoneOffset = req.query.timezoneOffset ? parseInt(req.query.timezoneOffset, 10) : 0;
+  try {
+    await fillComputedNutrition(prisma, data, ingredients);
+    await linkCanonicalIngredients(prisma, ingredients);
+    Object.assign(data, deriveDietaryTags(ingredients), { dietaryTaggedAt: new Date() });
+    applyRecipeVisibility(data);
 
-  if (!startDateString) {
-    return res.status(400).json({ message: "startDate es requerido." });
+    const recipe = await prisma.recipe.create({
+      data: {
+        ...data,
+        authorId: userId,
+        ingredients: { create: ingredients },
+        steps: { create: steps },
+      },
+      include: RECIPE_INCLUDE,
+      omit: { shareToken: false },
+    });
+    res.status(201).json(recipe);
+  } catch (error) {
+    console.error("Error al crear la receta:", error);
+    res.status(500).json({ message: "Error al crear la receta." });
   }
+});
+
+// Máximo de recetas por importación; los lotes más grandes se importan con `npm run recipes:import`.
+const MAX_IMPORT_RECIPES = 200;
 
-  // Se construye un string de fecha ISO 8601 que incluye el offset de la zona horaria del cliente.
-  // Esto asegura que la fecha se interprete correctamente como la medianoche en la zona horaria del usuario.
-  // El signo del offset de getTimezoneOffset() está invertido (positivo para zonas detrás de UTC),
-  // por lo que un offset positivo (ej: 300 para UTC-5) se convierte en un signo '-' en el string ISO.
-  const offsetSign = timezoneOffset > 0 ? '-' : '+';
-  const offsetHours = String(Math.floor(Math.abs(timezoneOffset) / 60)).padStart(2, '0');
-  const offsetMinutes = String(Math.abs(timezoneOffset) % 60).padStart(2, '0');
-  const isoString = `${startDateString}T00:00:00${offsetSign}${offsetHours}:${offsetMinutes}`;
+// Importa recetas en formato schema.org `Recipe` (JSON-LD) como recetas del usuario.
+// El cuerpo puede ser un documento JSON-LD (un objeto, una lista o un `@graph`, como el que
+// publican las webs de recetas) o, con `Content-Type: text/csv`, un CSV con una receta por fila
+// (ver `csvRowToJsonLd`). Las duraciones ISO-8601 se convierten al campo `time` y las recetas
+// con el mismo título que otra del usuario se omiten como duplicadas. Las recetas se crean con
+// la visibilidad indicada en `?visibility=` (por defecto, públicas).
+// Responde con las recetas creadas, las duplicadas y las inválidas con sus errores.
+app.post("/api/recipes/import", requireAuth, bodyParser.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+  const userId = req.userId;
+  const visibility = req.query.visibility || 'public';
+  let nodes;
 
-  const startDate = new Date(isoString);
+  if (!RECIPE_VISIBILITIES.includes(visibility)) {
+    return sendValidationError(res, [`El parámetro 'visibility' debe ser uno de: ${RECIPE_VISIBILITIES.join(', ')}.`]);
+  }
 
-  if (isNaN(startDate.getTime())) {
-    return res.status(400).json({ message: "Formato de fecha u offset inválido." });
+  try {
+    nodes = typeof req.body === 'string'
+      ? parseCsv(req.body).map(csvRowToJsonLd)
+      : findRecipeNodes(req.body);
+  } catch (error) {
+    return sendValidationError(res, ["No se pudo interpretar el archivo de recetas."]);
   }
 
-  // La fecha de fin son 6 días después, terminando al final de ese día.
-  const endDate = new Date(startDate);
-  endDate.setDate(endDate.getDate() + 6);
-  endDate.setHours(23, 59, 59, 999);
+  if (nodes.length === 0) {
+    return sendValidationError(res, ["No se encontró ninguna receta (schema.org Recipe) en el documento."]);
+  }
+  if (nodes.length > MAX_IMPORT_RECIPES) {
+    return sendValidationError(res, [`No se pueden importar más de ${MAX_IMPORT_RECIPES} recetas a la vez.`]);
+  }
 
   try {
-    const plans = await prisma.dailyPlan.findMany({
-      where: { userId },
+    const result = await importRecipes(prisma, userId, nodes, visibility);
+    res.status(result.created.length > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    console.error("Error al importar las recetas:", error);
+    res.status(500).json({ message: "Error al importar las recetas." });
+  }
+});
+
+// Devuelve una receta como documento schema.org `Recipe` en JSON-LD, para publicarla o
+// importarla en otras aplicaciones. Respeta la visibilidad igual que el detalle de la receta.
+app.get("/api/recipes/:id/jsonld", optionalAuth, async (req, res) => {
+  const recipeId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(recipeId)) {
+    return res.status(404).json({ message: "Receta no encontrada." });
+  }
+
+  try {
+    const recipe = await prisma.recipe.findUnique({
+      where: { id: recipeId },
       include: {
-        entries: {
-          include: {
-            recipe: { select: { kcal: true } },
-          },
-        },
+        ...RECIPE_INCLUDE,
+        author: { select: PUBLIC_AUTHOR_SELECT },
       },
-      orderBy: { date: 'asc' },
     });
 
-    // Paso 1: Consolidar los datos. Pueden existir múltiples planes para un mismo día
-    // con diferentes timestamps. Se agrupan por día de calendario (YYYY-MM-DD) y se
-    // suman las calorías para obtener un total diario único.
-    const dailyTotals = new Map();
-    plans.forEach(plan => {
-      const dateKey = new Date(plan.date).toISOString().split('T')[0];
-      const calories = plan.entries.reduce((sum, entry) => sum + entry.recipe.kcal, 0);
-      dailyTotals.set(dateKey, (dailyTotals.get(dateKey) || 0) + calories);
-    });
+    if (!recipe || !canViewRecipe(recipe, req.userId)) {
+      return res.status(404).json({ message: "Receta no encontrada." });
+    }
 
-    if (dailyTotals.size === 0) {
-      return res.status(200).json([]);
+    const url = `${req.protocol}://${req.get('host')}/api/recipes/${recipe.id}`;
+    res.status(200).type('application/ld+json').send(JSON.stringify(recipeToJsonLd(recipe, url)));
+  } catch (error) {
+    console.error("Error al exportar la receta:", error);
+    res.status(500).json({ message: "Error al exportar la receta." });
+  }
+});
+
+// Endpoint para editar una receta. PUT exige la receta completa y PATCH solo los campos a cambiar.
+// Si se envían ingredientes o pasos, la lista anterior se reemplaza por completo dentro de la
+// misma escritura anidada, de modo que la receta nunca queda a medio actualizar.
+const updateRecipe = (partial) => async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseInt(req.params.id, 10);
+  const { errors, data, ingredients, steps } = parseRecipeInput(req.body, partial);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos de la receta inválidos.");
+  }
+
+  try {
+    const current = await ensureRecipeAuthor(recipeId, userId, res);
+    if (!current) {
+      return;
     }
 
-    // Crea un rango de fechas continuo desde el primer día hasta hoy.
-    const sortedDates = Array.from(dailyTotals.keys()).sort();
-    const startDate = new Date(sortedDates[0]);
-    const endDate = new Date(); // Hoy
-    const history = [];
+    applyRecipeVisibility(data, current.shareToken);
 
-    // Paso 3: Rellenar los datos. Se itera sobre el rango de fechas continuo y,
-    // para cada día, se usa el total de calorías si existe, o 0 si no hay registro.
-    // Esto asegura que el gráfico no tenga días faltantes.
-    for (let d = startDate; d <= endDate; d.setDate(d.getDate() + 1)) {
-      const dateKey = d.toISOString().split('T')[0];
-      history.push({
-        date: dateKey,
-        totalCalories: dailyTotals.get(dateKey) || 0,
+    // Si la imagen se cambia por otra URL o se quita, la foto subida deja de usarse.
+    const replacesUpload = current.imageKey && data.image !== undefined && data.image !== current.image;
+    if (replacesUpload) {
+      data.imageThumbnail = null;
+      data.imageKey = null;
+    }
+
+    if (ingredients || NUTRIENT_FIELDS.some(field => data[field] !== undefined)) {
+      const nutrition = await prisma.recipe.findUnique({
+        where: { id: recipeId },
+        select: { ...Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, true])), computedNutrients: true },
       });
+      if (ingredients) {
+        await fillComputedNutrition(prisma, data, ingredients, nutrition);
+      } else {
+        // Los nutrientes que el autor indica ahora dejan de considerarse calculados.
+        data.computedNutrients = nutrition.computedNutrients.filter(field => data[field] === undefined);
+      }
     }
 
-    res.status(200).json(history);
+    if (ingredients) {
+      await linkCanonicalIngredients(prisma, ingredients);
+      Object.assign(data, deriveDietaryTags(ingredients), { dietaryTaggedAt: new Date() });
+      data.ingredients = { deleteMany: {}, create: ingredients };
+    }
+    if (steps) {
+      data.steps = { deleteMany: {}, create: steps };
+    }
+
+    const recipe = await prisma.recipe.update({
+      where: { id: recipeId },
+      data,
+      include: RECIPE_INCLUDE,
+      omit: { shareToken: false },
+    });
+    if (replacesUpload) {
+      await removeImage(current.imageKey);
+    }
+    res.status(200).json(recipe);
   } catch (error) {
-    console.error("Error al obtener el historial calórico:", error);
-    res.status(500).json({ message: "Error al obtener el historial." });
+    console.error("Error al actualizar la receta:", error);
+    res.status(500).json({ message: "Error al actualizar la receta." });
+  }
+};
+
+app.put("/api/recipes/:id", requireAuth, updateRecipe(false));
+app.patch("/api/recipes/:id", requireAuth, updateRecipe(true));
+
+// Endpoint para eliminar una receta. Sus ingredientes, pasos y entradas de planificador
+// se eliminan en cascada, y su foto, si se subió al servidor, se borra del almacenamiento.
+app.delete("/api/recipes/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseInt(req.params.id, 10);
+
+  try {
+    const current = await ensureRecipeAuthor(recipeId, userId, res);
+    if (!current) {
+      return;
+    }
+
+    await prisma.recipe.delete({
+      where: { id: recipeId },
+    });
+    await removeImage(current.imageKey);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al eliminar la receta:", error);
+    res.status(500).json({ message: "Error al eliminar la receta." });
   }
 });
 
-// Devuelve el historial calórico completo del usuario, rellenando los días sin registros.
-app.get("/api/users/me/full-calorie-history", async (req, res) => {
-  const userId = getUserId(req);
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+// --- Valoraciones y favoritas ---
+
+// Campos de una valoración que se devuelven a su autor.
+const RATING_SELECT = {
+  rating: true,
+  review: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Longitud máxima de una reseña, en caracteres.
+const MAX_REVIEW_LENGTH = 2000;
+
+/**
+ * Valida los datos de una valoración: `rating` entero de 1 a 5 y `review` opcional.
+ * @param {object} body El cuerpo de la petición.
+ * @returns {{errors: string[], data: {rating: number, review: string|null}}}
+ *   Los errores encontrados y la valoración lista para guardarse.
+ */
+const parseRatingInput = (body) => {
+  const errors = [];
+  const { rating, review = null } = body || {};
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.push("El campo 'rating' debe ser un número entero entre 1 y 5.");
   }
+  if (review !== null && typeof review !== 'string') {
+    errors.push("El campo 'review' debe ser un texto.");
+  } else if (review !== null && review.trim().length > MAX_REVIEW_LENGTH) {
+    errors.push(`La reseña no puede superar los ${MAX_REVIEW_LENGTH} caracteres.`);
+  }
+
+  return { errors, data: { rating, review: review?.trim() || null } };
+};
+
+/**
+ * Bloquea la fila de una receta hasta el final de la transacción en curso. Las escrituras de
+ * valoraciones empiezan por aquí, de modo que las simultáneas sobre una misma receta se hacen
+ * una tras otra: la segunda ya ve la valoración que creó la primera (y la actualiza en vez de
+ * chocar con la restricción única) y recalcula la media contando con ella.
+ * @param {object} tx El cliente de la transacción en curso.
+ * @param {number} recipeId La receta.
+ * @returns {Promise<void>}
+ */
+const lockRecipeRatings = async (tx, recipeId) => {
+  await tx.$queryRaw`SELECT "id" FROM "recipes" WHERE "id" = ${recipeId} FOR UPDATE`;
+};
+
+/**
+ * Recalcula la valoración media y el número de valoraciones guardados en una receta. Debe
+ * llamarse en la transacción que modificó las valoraciones, tras `lockRecipeRatings`.
+ * @param {object} tx El cliente de la transacción en curso.
+ * @param {number} recipeId La receta.
+ * @returns {Promise<{avgRating: number|null, ratingCount: number}>} Los nuevos valores.
+ */
+const refreshRecipeRating = async (tx, recipeId) => {
+  const { _avg, _count } = await tx.recipeRating.aggregate({
+    where: { recipeId },
+    _avg: { rating: true },
+    _count: true,
+  });
+  return tx.recipe.update({
+    where: { id: recipeId },
+    data: {
+      avgRating: _avg.rating === null ? null : Math.round(_avg.rating * 100) / 100,
+      ratingCount: _count,
+    },
+    select: { avgRating: true, ratingCount: true },
+  });
+};
+
+// Lista las valoraciones de una receta, de la más reciente a la más antigua, con el perfil
+// público de quien la escribió. Admite paginación con `page` y `limit`.
+app.get("/api/recipes/:id/ratings", optionalAuth, async (req, res) => {
+  const recipeId = parseInt(req.params.id, 10);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
 
   try {
-    const plans = await prisma.dailyPlan.findMany({
-      where: {
-        userId,
-      },
-      include: {
-        entries: {
-          include: {
-            recipe: {
-              select: {
-                kcal: true,
-              },
-            },
-          },
-        },
-      },
-      orderBy: {
-        date: 'asc',
-      },
-    });
+    const recipe = await findVisibleRecipe(recipeId, req.userId, res);
+    if (!recipe) {
+      return;
+    }
 
-    // Agrupa los planes por fecha de calendario (YYYY-MM-DD) y suma las calorías.
-    const dailyTotals = new Map();
-    plans.forEach(plan => {
-      const dateKey = plan.date.toISOString().split('T')[0];
-      const calories = plan.entries.reduce((sum, entry) => sum + entry.recipe.kcal, 0);
-      dailyTotals.set(dateKey, (dailyTotals.get(dateKey) || 0) + calories);
+    const [total, ratings] = await prisma.$transaction([
+      prisma.recipeRating.count({ where: { recipeId } }),
+      prisma.recipeRating.findMany({
+        where: { recipeId },
+        select: { id: true, ...RATING_SELECT, user: { select: PUBLIC_AUTHOR_SELECT } },
+        orderBy: [{ updatedAt: 'desc' }, { id: 'desc' }],
+        take: limit,
+        skip: (page - 1) * limit,
+      }),
+    ]);
+
+    res.status(200).json({
+      data: ratings,
+      meta: { total, limit, page, hasMore: page * limit < total },
     });
+  } catch (error) {
+    console.error("Error al obtener las valoraciones:", error);
+    res.status(500).json({ message: "Error al obtener las valoraciones." });
+  }
+});
 
-    if (dailyTotals.size === 0) {
-      return res.status(200).json([]);
-    }
+// Valora una receta con `{ rating, review? }`. Cada usuario tiene una sola valoración por
+// receta: si ya existía, se reemplaza. El autor no puede valorar sus propias recetas.
+// Devuelve la valoración y la nueva media de la receta.
+app.put("/api/recipes/:id/rating", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseInt(req.params.id, 10);
+  const { errors, data } = parseRatingInput(req.body);
 
-    // Paso 2: Generar una línea de tiempo continua. Se crea un rango de fechas
-    // desde el primer registro del usuario hasta el día de hoy.
-    const sortedDates = Array.from(dailyTotals.keys()).sort();
-    const startDate = new Date(sortedDates[0]);
-    const endDate = new Date(); // Hoy
-    const history = [];
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos de la valoración inválidos.");
+  }
 
-    // Normalizar startDate y endDate a medianoche UTC para evitar problemas de bucle infinito.
-    startDate.setUTCHours(0, 0, 0, 0);
-    endDate.setUTCHours(0, 0, 0, 0);
+  try {
+    const recipe = await findVisibleRecipe(recipeId, req.userId, res);
+    if (!recipe) {
+      return;
+    }
+    if (recipe.authorId === userId) {
+      return res.status(403).json({ message: "No puedes valorar tus propias recetas." });
+    }
 
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-      const dateKey = d.toISOString().split('T')[0];
-      history.push({
-        date: dateKey,
-        totalCalories: dailyTotals.get(dateKey) || 0,
+    const result = await prisma.$transaction(async (tx) => {
+      await lockRecipeRatings(tx, recipeId);
+      const rating = await tx.recipeRating.upsert({
+        where: { userId_recipeId: { userId, recipeId } },
+        update: data,
+        create: { ...data, userId, recipeId },
+        select: RATING_SELECT,
       });
-    }
+      return { rating, ...(await refreshRecipeRating(tx, recipeId)) };
+    });
 
-    res.status(200).json(history);
+    res.status(200).json(result);
   } catch (error) {
-    console.error("Error al obtener el historial calórico completo:", error);
-    res.status(500).json({ message: "Error al obtener el historial completo." });
+    console.error("Error al guardar la valoración:", error);
+    res.status(500).json({ message: "Error al guardar la valoración." });
   }
 });
 
-// Obtiene la lista de ingredientes en la despensa del usuario actual.
-app.get("/api/users/me/pantry", async (req, res) => {
-  const userId = getUserId(req);
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+// Elimina la valoración del usuario autenticado y recalcula la media de la receta.
+app.delete("/api/recipes/:id/rating", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(recipeId)) {
+    return res.status(404).json({ message: "Valoración no encontrada." });
   }
 
   try {
-    const pantryItems = await prisma.userPantryItem.findMany({
-      where: { userId },
-      select: { ingredientName: true },
-      orderBy: { ingredientName: 'asc' },
+    const deleted = await prisma.$transaction(async (tx) => {
+      await lockRecipeRatings(tx, recipeId);
+      const { count } = await tx.recipeRating.deleteMany({ where: { userId, recipeId } });
+      if (count > 0) {
+        await refreshRecipeRating(tx, recipeId);
+      }
+      return count > 0;
     });
-    res.status(200).json(pantryItems.map(item => item.ingredientName));
+
+    if (!deleted) {
+      return res.status(404).json({ message: "Valoración no encontrada." });
+    }
+    res.status(204).send();
   } catch (error) {
-    console.error("Error al obtener la despensa:", error);
-    res.status(500).json({ message: "Error al obtener la despensa." });
+    console.error("Error al eliminar la valoración:", error);
+    res.status(500).json({ message: "Error al eliminar la valoración." });
+  }
+});
+
+// Añade una receta a las favoritas del usuario. Es idempotente: marcarla de nuevo no falla.
+app.put("/api/recipes/:id/favorite", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseInt(req.params.id, 10);
+
+  try {
+    const recipe = await findVisibleRecipe(recipeId, req.userId, res);
+    if (!recipe) {
+      return;
+    }
+
+    await prisma.favoriteRecipe.upsert({
+      where: { userId_recipeId: { userId, recipeId } },
+      update: {},
+      create: { userId, recipeId },
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al añadir la receta a favoritas:", error);
+    res.status(500).json({ message: "Error al añadir la receta a favoritas." });
   }
 });
 
-// Reemplaza completamente la despensa del usuario con la lista proporcionada.
-app.put("/api/users/me/pantry", async (req, res) => {
-  const userId = getUserId(req);
-  if (!userId) {
-    return res.status(401).json({ message: "No autorizado." });
+// Quita una receta de las favoritas del usuario. Tampoco falla si no lo era.
+app.delete("/api/recipes/:id/favorite", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(recipeId)) {
+    return res.status(404).json({ message: "Receta no encontrada." });
   }
 
-  const { ingredients } = req.body;
-  if (!Array.isArray(ingredients)) {
-    return res.status(400).json({ message: "Se esperaba un array de ingredientes." });
+  try {
+    await prisma.favoriteRecipe.deleteMany({ where: { userId, recipeId } });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al quitar la receta de favoritas:", error);
+    res.status(500).json({ message: "Error al quitar la receta de favoritas." });
   }
+});
+
+// Lista las recetas favoritas del usuario, de la última marcada a la primera. Cada receta
+// incluye `favoritedAt`, el momento en que se marcó. Las que su autor haya dejado de publicar
+// no se muestran, aunque siguen marcadas por si vuelven a ser públicas.
+app.get("/api/users/me/favorites", requireAuth, async (req, res) => {
+  const userId = req.userId;
 
   try {
-    // Se utiliza una transacción de Prisma para garantizar la atomicidad de la operación:
-    // o se completan ambas acciones (borrar y crear), o no se realiza ninguna.
-    // Esto previene estados inconsistentes en la base de datos.
-    await prisma.$transaction([
-      // Acción 1: Borrar todos los ingredientes existentes para este usuario.
-      prisma.userPantryItem.deleteMany({
-        where: { userId },
-      }),
-      // Acción 2: Crear los nuevos registros con la lista de ingredientes proporcionada.
-      prisma.userPantryItem.createMany({
-        data: ingredients.map(name => ({
-          userId,
-          ingredientName: name,
-        })),
-      }),
-    ]);
+    const favorites = await prisma.favoriteRecipe.findMany({
+      where: { userId, recipe: visibleRecipesWhere(userId) },
+      include: { recipe: { include: RECIPE_INCLUDE } },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    });
 
-    res.status(204).send(); // 204 No Content, la operación fue exitosa.
+    res.status(200).json(favorites.map(favorite => ({
+      ...favorite.recipe,
+      favorited: true,
+      favoritedAt: favorite.createdAt,
+    })));
   } catch (error) {
-    console.error("Error al actualizar la despensa:", error);
-    res.status(500).json({ message: "Error al actualizar la despensa." });
+    console.error("Error al obtener las recetas favoritas:", error);
+    res.status(500).json({ message: "Error al obtener las recetas favoritas." });
   }
 });
 
+// --- Colecciones y enlaces compartidos ---
 
+/**
+ * Construye las relaciones que se incluyen al devolver una colección: sus recetas, de la última
+ * añadida a la primera, limitadas a las que cumplen `recipeWhere`.
+ * @param {object} recipeWhere La condición de visibilidad sobre `Recipe`.
+ * @returns {object} El `include` de Prisma.
+ */
+const collectionInclude = (recipeWhere) => ({
+  recipes: {
+    where: { recipe: recipeWhere },
+    include: { recipe: { include: RECIPE_INCLUDE } },
+    orderBy: [{ addedAt: 'desc' }, { id: 'desc' }],
+  },
+});
+
+/**
+ * Valida el nombre y la descripción de una colección.
+ * @param {object} body El cuerpo de la petición.
+ * @param {boolean} [partial=false] Si es true, los campos ausentes no se validan.
+ * @returns {{errors: string[], data: {name?: string, description?: string|null}}}
+ */
+const parseCollectionInput = (body, partial = false) => {
+  const errors = [];
+  const data = {};
+  const { name, description } = body || {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push("El nombre de la colección es obligatorio.");
+    } else {
+      data.name = name.trim();
+    }
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      errors.push("La descripción debe ser un texto.");
+    } else {
+      data.description = description?.trim() || null;
+    }
+  }
+
+  return { errors, data };
+};
+
+/**
+ * Da forma de respuesta a una colección cargada con `collectionInclude`: una lista de recetas,
+ * cada una con el momento en que se añadió (`addedAt`).
+ * @param {object} collection La colección.
+ * @returns {object} La colección con `recipes` y `recipeCount`.
+ */
+const formatCollection = ({ recipes, ...collection }) => ({
+  ...collection,
+  recipeCount: recipes.length,
+  recipes: recipes.map(item => ({ ...item.recipe, addedAt: item.addedAt })),
+});
+
+/**
+ * Busca una colección del usuario y, si no existe o es de otro usuario, envía la respuesta 404.
+ * @param {number} collectionId El ID de la colección (ya convertido a número).
+ * @param {number} userId El usuario autenticado.
+ * @param {import("express").Response} res La respuesta, para enviar el error si lo hay.
+ * @returns {Promise<object|null>} La colección, o null si ya se envió el error.
+ */
+const findOwnCollection = async (collectionId, userId, res) => {
+  const collection = Number.isInteger(collectionId)
+    ? await prisma.recipeCollection.findUnique({ where: { id: collectionId } })
+    : null;
+  if (!collection || collection.userId !== userId) {
+    res.status(404).json({ message: "Colección no encontrada." });
+    return null;
+  }
+  return collection;
+};
+
+// Lista las colecciones del usuario por orden alfabético, con el número de recetas de cada una.
+app.get("/api/users/me/collections", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const collections = await prisma.recipeCollection.findMany({
+      where: { userId },
+      include: { _count: { select: { recipes: { where: { recipe: visibleRecipesWhere(userId) } } } } },
+      orderBy: { name: 'asc' },
+    });
+    res.status(200).json(collections.map(({ _count, ...collection }) => ({
+      ...collection,
+      recipeCount: _count.recipes,
+    })));
+  } catch (error) {
+    console.error("Error al obtener las colecciones:", error);
+    res.status(500).json({ message: "Error al obtener las colecciones." });
+  }
+});
+
+// Crea una colección vacía con `{ name, description? }`. El nombre no puede repetirse entre
+// las colecciones del usuario.
+app.post("/api/users/me/collections", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const { errors, data } = parseCollectionInput(req.body);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos de la colección inválidos.");
+  }
+
+  try {
+    const collection = await prisma.recipeCollection.create({
+      data: { ...data, userId },
+      include: collectionInclude(visibleRecipesWhere(userId)),
+    });
+    res.status(201).json(formatCollection(collection));
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: "Ya existe una colección con ese nombre." });
+    }
+    console.error("Error al crear la colección:", error);
+    res.status(500).json({ message: "Error al crear la colección." });
+  }
+});
+
+// Obtiene una colección del usuario con sus recetas. Las recetas de otros autores que hayan
+// dejado de ser públicas no se muestran.
+app.get("/api/users/me/collections/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const collectionId = parseInt(req.params.id, 10);
+
+  try {
+    const collection = Number.isInteger(collectionId)
+      ? await prisma.recipeCollection.findUnique({
+        where: { id: collectionId },
+        include: collectionInclude(visibleRecipesWhere(userId)),
+      })
+      : null;
+
+    if (!collection || collection.userId !== userId) {
+      return res.status(404).json({ message: "Colección no encontrada." });
+    }
+    res.status(200).json(formatCollection(collection));
+  } catch (error) {
+    console.error("Error al obtener la colección:", error);
+    res.status(500).json({ message: "Error al obtener la colección." });
+  }
+});
+
+// Cambia el nombre o la descripción de una colección.
+app.patch("/api/users/me/collections/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const collectionId = parseInt(req.params.id, 10);
+  const { errors, data } = parseCollectionInput(req.body, true);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos de la colección inválidos.");
+  }
+
+  try {
+    if (!await findOwnCollection(collectionId, userId, res)) {
+      return;
+    }
+
+    const collection = await prisma.recipeCollection.update({
+      where: { id: collectionId },
+      data,
+      include: collectionInclude(visibleRecipesWhere(userId)),
+    });
+    res.status(200).json(formatCollection(collection));
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: "Ya existe una colección con ese nombre." });
+    }
+    console.error("Error al actualizar la colección:", error);
+    res.status(500).json({ message: "Error al actualizar la colección." });
+  }
+});
+
+// Elimina una colección. Las recetas no se eliminan; solo dejan de estar agrupadas.
+app.delete("/api/users/me/collections/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const collectionId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(collectionId)) {
+    return res.status(404).json({ message: "Colección no encontrada." });
+  }
+
+  try {
+    const { count } = await prisma.recipeCollection.deleteMany({
+      where: { id: collectionId, userId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Colección no encontrada." });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al eliminar la colección:", error);
+    res.status(500).json({ message: "Error al eliminar la colección." });
+  }
+});
+
+// Añade una receta a una colección. Solo se pueden añadir recetas que el usuario puede ver
+// (públicas o propias). Es idempotente: añadirla de nuevo no falla.
+app.put("/api/users/me/collections/:id/recipes/:recipeId", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const collectionId = parseInt(req.params.id, 10);
+  const recipeId = parseInt(req.params.recipeId, 10);
+
+  try {
+    if (!await findOwnCollection(collectionId, userId, res) || !await findVisibleRecipe(recipeId, userId, res)) {
+      return;
+    }
+
+    await prisma.collectionRecipe.upsert({
+      where: { collectionId_recipeId: { collectionId, recipeId } },
+      update: {},
+      create: { collectionId, recipeId },
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al añadir la receta a la colección:", error);
+    res.status(500).json({ message: "Error al añadir la receta a la colección." });
+  }
+});
+
+// Quita una receta de una colección.
+app.delete("/api/users/me/collections/:id/recipes/:recipeId", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const collectionId = parseInt(req.params.id, 10);
+  const recipeId = parseInt(req.params.recipeId, 10);
+
+  try {
+    if (!await findOwnCollection(collectionId, userId, res)) {
+      return;
+    }
+
+    const { count } = Number.isInteger(recipeId)
+      ? await prisma.collectionRecipe.deleteMany({ where: { collectionId, recipeId } })
+      : { count: 0 };
+
+    if (count === 0) {
+      return res.status(404).json({ message: "La receta no está en la colección." });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al quitar la receta de la colección:", error);
+    res.status(500).json({ message: "Error al quitar la receta de la colección." });
+  }
+});
+
+// Genera el enlace de solo lectura de una colección, o devuelve el existente. A diferencia del
+// enlace del calendario, el token se guarda tal cual para poder mostrar el enlace de nuevo:
+// está pensado para compartirse y solo da acceso a recetas que ya son públicas o no listadas.
+app.post("/api/users/me/collections/:id/share", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const collectionId = parseInt(req.params.id, 10);
+
+  try {
+    const current = await findOwnCollection(collectionId, userId, res);
+    if (!current) {
+      return;
+    }
+
+    const { shareToken } = current.shareToken
+      ? current
+      : await prisma.recipeCollection.update({
+        where: { id: collectionId },
+        data: { shareToken: generateShareToken() },
+        select: { shareToken: true },
+      });
+    res.status(current.shareToken ? 200 : 201).json({
+      shareToken,
+      url: `${req.protocol}://${req.get('host')}/api/shared/collections/${shareToken}`,
+    });
+  } catch (error) {
+    console.error("Error al compartir la colección:", error);
+    res.status(500).json({ message: "Error al compartir la colección." });
+  }
+});
+
+// Deja de compartir una colección: el enlace anterior deja de funcionar.
+app.delete("/api/users/me/collections/:id/share", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const collectionId = parseInt(req.params.id, 10);
+
+  try {
+    if (!await findOwnCollection(collectionId, userId, res)) {
+      return;
+    }
+
+    await prisma.recipeCollection.update({
+      where: { id: collectionId },
+      data: { shareToken: null },
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al dejar de compartir la colección:", error);
+    res.status(500).json({ message: "Error al dejar de compartir la colección." });
+  }
+});
+
+// Vista de solo lectura de una colección compartida. No requiere sesión: el token del enlace
+// da acceso. Muestra las recetas públicas y las no listadas del dueño de la colección; las
+// privadas nunca aparecen, aunque estén en la colección.
+app.get("/api/shared/collections/:token", async (req, res) => {
+  try {
+    const collection = await prisma.recipeCollection.findUnique({
+      where: { shareToken: req.params.token },
+      include: { user: { select: PUBLIC_AUTHOR_SELECT } },
+    });
+
+    if (!collection) {
+      return res.status(404).json({ message: "Colección no encontrada." });
+    }
+
+    const { recipes } = await prisma.recipeCollection.findUnique({
+      where: { id: collection.id },
+      select: collectionInclude({
+        OR: [{ visibility: 'public' }, { visibility: 'unlisted', authorId: collection.userId }],
+      }),
+    });
+    const { user, userId, shareToken, ...data } = collection;
+    res.status(200).json(formatCollection({ ...data, owner: user, recipes }));
+  } catch (error) {
+    console.error("Error al obtener la colección compartida:", error);
+    res.status(500).json({ message: "Error al obtener la colección compartida." });
+  }
+});
+
+// Vista de una receta no listada a través de su enlace (`shareToken`). No requiere sesión.
+// Las recetas que vuelven a ser públicas o privadas pierden el token, y el enlace deja de funcionar.
+app.get("/api/shared/recipes/:token", async (req, res) => {
+  try {
+    const recipe = await prisma.recipe.findUnique({
+      where: { shareToken: req.params.token },
+      include: {
+        ...RECIPE_INCLUDE,
+        author: { select: PUBLIC_AUTHOR_SELECT },
+      },
+    });
+
+    if (!recipe) {
+      return res.status(404).json({ message: "Receta no encontrada." });
+    }
+    res.status(200).json(recipe);
+  } catch (error) {
+    console.error("Error al obtener la receta compartida:", error);
+    res.status(500).json({ message: "Error al obtener la receta compartida." });
+  }
+});
+
+// --- Perfil alimentario ---
+
+// Dietas y alérgenos que se pueden indicar en el perfil (`diets` y `allergens` en
+// `PUT /api/users/me`), con el nombre con el que se muestran.
+app.get("/api/dietary-options", (req, res) => {
+  res.status(200).json({
+    diets: Object.entries(DIETS).map(([id, diet]) => ({ id, name: diet.name })),
+    allergens: Object.entries(ALLERGENS).map(([id, name]) => ({ id, name })),
+  });
+});
+
+// --- Catálogo de ingredientes ---
+
+/**
+ * Devuelve la clave con la que se comparan dos ingredientes: la del ingrediente canónico si el
+ * registro está enlazado (así "patata" y "papa" coinciden) o, si no, la de su propio nombre.
+ * @param {string} name El nombre guardado en el registro.
+ * @param {{name: string}|null} [canonical] El ingrediente canónico enlazado, si lo hay.
+ * @returns {string} La clave normalizada.
+ */
+const ingredientKey = (name, canonical) => normalizeIngredientKey(canonical?.name ?? name);
+
+// Devuelve el catálogo de ingredientes canónicos con su categoría y sus alias, ordenado por nombre.
+// Con `?q=` filtra los ingredientes cuyo nombre o alguno de sus alias contiene el texto,
+// sin distinguir mayúsculas, tildes ni plurales. Ideal para el autocompletado del frontend.
+app.get("/api/ingredients/unique", async (req, res) => {
+  const q = typeof req.query.q === 'string' && req.query.q.trim() ? normalizeIngredientKey(req.query.q) : null;
+
+  try {
+    const ingredients = await prisma.canonicalIngredient.findMany({
+      where: q
+        ? { OR: [{ key: { contains: q } }, { aliases: { some: { key: { contains: q } } } }] }
+        : {},
+      select: {
+        id: true,
+        name: true,
+        category: true,
+        aliases: { select: { name: true }, orderBy: { name: 'asc' } },
+      },
+      orderBy: {
+        name: 'asc',
+      },
+    });
+    res.status(200).json(ingredients.map(ingredient => ({
+      ...ingredient,
+      aliases: ingredient.aliases.map(alias => alias.name),
+    })));
+  } catch (error) {
+    console.error("Error al obtener ingredientes únicos:", error);
+    res.status(500).json({ message: "Error al obtener ingredientes." });
+  }
+});
+
+// --- Endpoints del Planificador ---
+
+// Franjas de comida en las que se puede colocar una entrada del planificador.
+const MEAL_SLOTS = ["breakfast", "lunch", "dinner", "snack"];
+
+// Estados de una entrada del planificador: prevista, cocinada (consumida) u omitida.
+const ENTRY_STATUSES = ["planned", "cooked", "skipped"];
+
+// Máximo de días que se pueden consultar de una vez en el planificador.
+const MAX_PLANNER_RANGE_DAYS = 62;
+
+/**
+ * Construye las relaciones que se incluyen al devolver un plan diario: sus entradas, cada una con
+ * su receta. Las entradas de recetas que su autor ha dejado de publicar desaparecen del plan,
+ * igual que si la receta se hubiera eliminado.
+ * @param {number} userId El dueño del plan.
+ * @returns {object} El `include` de Prisma.
+ */
+const planInclude = (userId) => ({
+  entries: {
+    where: { recipe: visibleRecipesWhere(userId) },
+    include: {
+      recipe: true,
+    },
+    orderBy: {
+      id: 'asc',
+    },
+  },
+});
+
+/**
+ * Comprueba si un texto es un identificador de zona horaria IANA válido, como "America/Bogota".
+ * @param {*} timeZone El valor a comprobar.
+ * @returns {boolean} true si el entorno reconoce la zona horaria.
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Devuelve el día de calendario actual en la zona horaria indicada, expresado como su
+ * medianoche UTC, que es como se guardan las fechas de los planes. Así, a las 22:00 del día 1
+ * en Bogotá (ya día 2 en UTC) el día actual sigue siendo el 1.
+ * @param {string} [timeZone='UTC'] La zona horaria IANA del usuario (`req.timeZone`).
+ * @returns {Date} La fecha de hoy normalizada.
+ */
+const todayFor = (timeZone = 'UTC') => {
+  const dateKey = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date());
+  return new Date(`${dateKey}T00:00:00Z`);
+};
+
+/**
+ * Convierte una fecha con formato `YYYY-MM-DD` en la medianoche UTC de ese día.
+ * @param {string} value La fecha recibida del cliente.
+ * @returns {Date|null} La fecha normalizada, o null si el formato o la fecha no son válidos.
+ */
+const parseDateParam = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  // Se descartan fechas como 2025-02-30, que `Date` desplazaría silenciosamente al mes siguiente.
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+};
+
+/**
+ * Devuelve la clave de calendario (`YYYY-MM-DD`) de una fecha.
+ * @param {Date} date La fecha.
+ * @returns {string} La fecha en formato ISO sin la hora.
+ */
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Devuelve la medianoche UTC del día situado a `days` días de hoy.
+ * @param {number} days Los días a sumar (o restar, si es negativo).
+ * @param {string} [timeZone='UTC'] La zona horaria con la que se determina hoy.
+ * @returns {Date} La fecha resultante.
+ */
+const daysFromToday = (days, timeZone = 'UTC') => {
+  const date = todayFor(timeZone);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date;
+};
+
+/**
+ * Añade a un plan diario los totales de calorías y macronutrientes de sus entradas,
+ * teniendo en cuenta las porciones de cada una. `totals` incluye todo lo que no se ha omitido
+ * (lo previsto para el día) y `consumedTotals` solo lo que ya se ha cocinado.
+ * @param {object} plan El plan con sus entradas y las recetas de estas.
+ * @returns {object} El plan con las propiedades `totals` y `consumedTotals`.
+ */
+const withPlanTotals = (plan) => {
+  const totalsOf = (entries) => sumNutrition(entries.map(entry => scaleNutrition(entry.recipe, entry.servings)));
+  return {
+    ...plan,
+    totals: totalsOf(plan.entries.filter(entry => entry.status !== 'skipped')),
+    consumedTotals: totalsOf(plan.entries.filter(entry => entry.status === 'cooked')),
+  };
+};
+
+/**
+ * Construye el filtro de entradas para los historiales calóricos: por defecto solo cuentan las
+ * comidas cocinadas; con `includePlanned=true` también las planificadas. Las omitidas nunca cuentan.
+ * @param {object} query Los parámetros de la URL (`req.query`).
+ * @returns {object} La condición de Prisma sobre `PlanEntry`.
+ */
+const historyEntryFilter = (query) => (
+  query.includePlanned === 'true'
+    ? { status: { in: ['planned', 'cooked'] } }
+    : { status: 'cooked' }
+);
+
+/**
+ * Convierte un ID recibido en el cuerpo de una petición en un entero. Solo acepta enteros y
+ * textos formados únicamente por dígitos, de modo que `null`, `""`, `true` o `[]` no se
+ * confunden con los IDs 0 o 1.
+ * @param {*} value El valor recibido.
+ * @returns {number|null} El entero, o null si el valor no es un ID válido.
+ */
+const parseIdInput = (value) => {
+  if (Number.isInteger(value)) {
+    return value;
+  }
+  return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : null;
+};
+
+/**
+ * Valida los campos opcionales de una entrada del planificador (franja y porciones).
+ * @param {object} body El cuerpo de la petición.
+ * @returns {{errors: string[], data: object}} Los errores encontrados y los campos normalizados.
+ */
+const parsePlanEntryInput = (body) => {
+  const errors = [];
+  const data = {};
+
+  if (body.mealSlot !== undefined) {
+    if (body.mealSlot !== null && !MEAL_SLOTS.includes(body.mealSlot)) {
+      errors.push(`La franja debe ser una de: ${MEAL_SLOTS.join(', ')}.`);
+    } else {
+      data.mealSlot = body.mealSlot;
+    }
+  }
+
+  if (body.servings !== undefined) {
+    if (typeof body.servings !== 'number' || !(body.servings > 0)) {
+      errors.push("Las porciones deben ser un número positivo.");
+    } else {
+      data.servings = body.servings;
+    }
+  }
+
+  return { errors, data };
+};
+
+/**
+ * Devuelve la lista de días entre dos fechas, ambas incluidas.
+ * @param {Date} from El primer día (medianoche UTC).
+ * @param {Date} to El último día (medianoche UTC).
+ * @returns {Date[]} Un objeto `Date` por cada día del rango.
+ */
+const eachDay = (from, to) => {
+  const days = [];
+  for (let d = new Date(from); d <= to; d.setUTCDate(d.getUTCDate() + 1)) {
+    days.push(new Date(d));
+  }
+  return days;
+};
+
+// Formas de resolver un conflicto al escribir entradas en días que ya tienen comidas planificadas:
+// `merge` añade las nuevas entradas a las existentes (omitiendo las repetidas) y `replace`
+// elimina las entradas existentes de esos días antes de escribir las nuevas. Las ya cocinadas se
+// conservan siempre: forman parte del historial y lo que descontaron de la despensa ya se gastó.
+const CONFLICT_MODES = ["merge", "replace"];
+
+/**
+ * Escribe entradas en los planes de varios días dentro de una única transacción.
+ * Si no se indica `mode` y alguno de los días ya tiene comidas, no se escribe nada y se
+ * devuelven los días en conflicto para que el cliente elija cómo resolverlo.
+ * @param {number} userId El ID del usuario.
+ * @param {Map<string, object[]>} entriesByDay Las entradas (`{ recipeId, mealSlot, servings }`)
+ *   que se escribirán en cada día, indexadas por su clave `YYYY-MM-DD`.
+ * @param {"merge"|"replace"} [mode] Cómo resolver los conflictos con las entradas existentes.
+ * @returns {Promise<{conflicts: string[]}|{created: number}>} Los días en conflicto, o el número
+ *   de entradas creadas.
+ */
+const writePlanEntries = (userId, entriesByDay, mode) => {
+  return prisma.$transaction(async (tx) => {
+    const dates = [...entriesByDay.keys()].map(key => new Date(`${key}T00:00:00Z`));
+    const existingPlans = await tx.dailyPlan.findMany({
+      where: { userId, date: { in: dates } },
+      include: { entries: { select: { recipeId: true, mealSlot: true } } },
+    });
+    const plansByDay = new Map(existingPlans.map(plan => [toDateKey(plan.date), plan]));
+
+    if (!mode) {
+      const conflicts = existingPlans
+        .filter(plan => plan.entries.length > 0)
+        .map(plan => toDateKey(plan.date))
+        .sort();
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+    }
+
+    let created = 0;
+    for (const [dayKey, entries] of entriesByDay) {
+      let plan = plansByDay.get(dayKey);
+      if (!plan && entries.length === 0) {
+        continue;
+      }
+      if (!plan) {
+        plan = await tx.dailyPlan.create({
+          data: { userId, date: new Date(`${dayKey}T00:00:00Z`) },
+          include: { entries: true },
+        });
+      }
+
+      let toCreate = entries;
+      if (mode === 'replace') {
+        await tx.planEntry.deleteMany({ where: { planId: plan.id, status: { not: 'cooked' } } });
+      } else {
+        toCreate = entries.filter(entry => !plan.entries.some(existing => (
+          existing.recipeId === entry.recipeId && existing.mealSlot === entry.mealSlot
+        )));
+      }
+
+      if (toCreate.length > 0) {
+        await tx.planEntry.createMany({
+          data: toCreate.map(entry => ({ ...entry, planId: plan.id })),
+        });
+        created += toCreate.length;
+      }
+    }
+
+    return { created };
+  });
+};
+
+/**
+ * Envía los planes de los días en los que se acaban de escribir entradas.
+ * @param {import("express").Response} res La respuesta.
+ * @param {number} userId El ID del usuario.
+ * @param {string[]} dayKeys Los días escritos, como claves `YYYY-MM-DD`.
+ * @param {number} created El número de entradas creadas.
+ * @returns {Promise<void>}
+ */
+const sendWrittenPlans = async (res, userId, dayKeys, created) => {
+  const plans = await prisma.dailyPlan.findMany({
+    where: {
+      userId,
+      date: { in: dayKeys.map(key => new Date(`${key}T00:00:00Z`)) },
+    },
+    include: planInclude(userId),
+    orderBy: { date: 'asc' },
+  });
+  res.status(200).json({ created, plans: plans.map(withPlanTotals) });
+};
+
+/**
+ * Escribe entradas en varios días y envía la respuesta: 409 con los días en conflicto si el
+ * cliente no eligió cómo resolverlos, o 200 con los planes resultantes.
+ * @param {import("express").Response} res La respuesta.
+ * @param {number} userId El ID del usuario.
+ * @param {Map<string, object[]>} entriesByDay Las entradas a escribir por día.
+ * @param {"merge"|"replace"} [mode] Cómo resolver los conflictos.
+ * @returns {Promise<void>}
+ */
+const sendPlanEntriesWrite = async (res, userId, entriesByDay, mode) => {
+  const result = await writePlanEntries(userId, entriesByDay, mode);
+
+  if (result.conflicts) {
+    return res.status(409).json({
+      message: `Ya hay comidas planificadas en algunos días. Indica 'mode': ${CONFLICT_MODES.join(' o ')}.`,
+      conflicts: result.conflicts,
+    });
+  }
+
+  await sendWrittenPlans(res, userId, [...entriesByDay.keys()], result.created);
+};
+
+/**
+ * Interpreta el rango de días destino de una operación de planificación (`from` y `to`).
+ * @param {object} body El cuerpo de la petición.
+ * @param {number} [defaultDays] Duración por defecto del rango si no se indica `to`.
+ * @param {number} [maxDays] Número máximo de días del rango.
+ * @returns {{errors: string[], days?: Date[]}} Los errores encontrados o los días del rango.
+ */
+const parseDayRange = (body, defaultDays = 1, maxDays = MAX_PLANNER_RANGE_DAYS) => {
+  const from = parseDateParam(body.from);
+  let to = body.to !== undefined ? parseDateParam(body.to) : null;
+  if (from && body.to === undefined) {
+    to = new Date(from);
+    to.setUTCDate(to.getUTCDate() + defaultDays - 1);
+  }
+
+  if (!from || !to || from > to) {
+    return { errors: ["Los parámetros 'from' y 'to' deben ser fechas YYYY-MM-DD y 'from' no puede ser posterior a 'to'."] };
+  }
+  const days = eachDay(from, to);
+  if (days.length > maxDays) {
+    return { errors: [`El rango no puede superar los ${maxDays} días.`] };
+  }
+  return { errors: [], days };
+};
+
+// Obtiene o crea el planificador para el día de calendario actual en la zona horaria del usuario.
+// Utiliza `upsert` para garantizar que solo exista un `DailyPlan` por usuario y día.
+app.get("/api/planner/today", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    // El día se determina en la zona horaria del usuario y se normaliza a la medianoche UTC para
+    // garantizar la unicidad por día de calendario, independientemente de la del servidor.
+    const today = todayFor(req.timeZone);
+    const plan = await prisma.dailyPlan.upsert({
+      where: {
+        userId_date: {
+          userId: userId,
+          date: today,
+        },
+      },
+      update: {}, // Si se encuentra, no hacer nada, solo devolverlo con sus relaciones.
+      create: {
+        userId: userId,
+        date: today,
+      },
+      include: planInclude(userId),
+    });
+
+    // Totales del día (calorías y macronutrientes) de todas las recetas planificadas.
+    res.status(200).json(withPlanTotals(plan));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error al obtener el planificador diario." });
+  }
+});
+
+// Devuelve los planes de un rango de días (`?from=YYYY-MM-DD&to=YYYY-MM-DD`, ambos incluidos).
+// Los días sin plan se devuelven vacíos (`id: null`) para que el calendario no tenga huecos;
+// a diferencia de `/today`, consultar un día no crea su plan.
+app.get("/api/planner", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+
+  if (!from || !to || from > to) {
+    return sendValidationError(res, ["Los parámetros 'from' y 'to' deben ser fechas YYYY-MM-DD y 'from' no puede ser posterior a 'to'."]);
+  }
+  const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > MAX_PLANNER_RANGE_DAYS) {
+    return sendValidationError(res, [`El rango no puede superar los ${MAX_PLANNER_RANGE_DAYS} días.`]);
+  }
+
+  try {
+    const plans = await prisma.dailyPlan.findMany({
+      where: {
+        userId,
+        date: { gte: from, lte: to },
+      },
+      include: planInclude(userId),
+    });
+    const plansByDate = new Map(plans.map(plan => [toDateKey(plan.date), plan]));
+
+    const result = [];
+    for (let d = new Date(from); d <= to; d.setUTCDate(d.getUTCDate() + 1)) {
+      const plan = plansByDate.get(toDateKey(d)) || { id: null, date: new Date(d), userId, entries: [] };
+      result.push(withPlanTotals(plan));
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error al obtener los planes." });
+  }
+});
+
+// --- Plantillas y copia de planes ---
+
+/**
+ * Construye las relaciones que se incluyen al devolver una plantilla: sus entradas con la receta
+ * de cada una, omitiendo, como en los planes, las recetas que el usuario ya no puede ver.
+ * @param {number} userId El dueño de la plantilla.
+ * @returns {object} El `include` de Prisma.
+ */
+const templateInclude = (userId) => ({
+  entries: {
+    where: { recipe: visibleRecipesWhere(userId) },
+    include: { recipe: true },
+    orderBy: [{ dayOffset: 'asc' }, { id: 'asc' }],
+  },
+});
+
+// Lista las plantillas de plan del usuario.
+app.get("/api/planner/templates", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const templates = await prisma.planTemplate.findMany({
+      where: { userId },
+      include: templateInclude(userId),
+      orderBy: { name: 'asc' },
+    });
+    res.status(200).json(templates);
+  } catch (error) {
+    console.error("Error al obtener las plantillas:", error);
+    res.status(500).json({ message: "Error al obtener las plantillas." });
+  }
+});
+
+// Obtiene una plantilla de plan del usuario.
+app.get("/api/planner/templates/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const templateId = parseInt(req.params.id, 10);
+
+  try {
+    const template = Number.isInteger(templateId)
+      ? await prisma.planTemplate.findUnique({ where: { id: templateId }, include: templateInclude(userId) })
+      : null;
+
+    if (!template || template.userId !== userId) {
+      return res.status(404).json({ message: "Plantilla no encontrada." });
+    }
+    res.status(200).json(template);
+  } catch (error) {
+    console.error("Error al obtener la plantilla:", error);
+    res.status(500).json({ message: "Error al obtener la plantilla." });
+  }
+});
+
+// Guarda los días de un rango (`from` y `to`) del planificador como una plantilla con nombre.
+// Cada entrada recuerda su posición dentro del rango (`dayOffset`, empezando en 0).
+app.post("/api/planner/templates", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  const { errors, days } = parseDayRange(req.body);
+
+  if (!name) {
+    errors.push("El nombre de la plantilla es obligatorio.");
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos de la plantilla inválidos.");
+  }
+
+  try {
+    const plans = await prisma.dailyPlan.findMany({
+      where: {
+        userId,
+        date: { gte: days[0], lte: days[days.length - 1] },
+      },
+      include: { entries: { where: { recipe: visibleRecipesWhere(userId) }, orderBy: { id: 'asc' } } },
+    });
+
+    const dayKeys = days.map(toDateKey);
+    const entries = plans.flatMap(plan => plan.entries.map(entry => ({
+      dayOffset: dayKeys.indexOf(toDateKey(plan.date)),
+      recipeId: entry.recipeId,
+      mealSlot: entry.mealSlot,
+      servings: entry.servings,
+    })));
+
+    if (entries.length === 0) {
+      return sendValidationError(res, ["El rango indicado no tiene comidas planificadas."]);
+    }
+
+    const template = await prisma.planTemplate.create({
+      data: {
+        name,
+        days: days.length,
+        userId,
+        entries: { create: entries },
+      },
+      include: templateInclude(userId),
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: "Ya existe una plantilla con ese nombre." });
+    }
+    console.error("Error al crear la plantilla:", error);
+    res.status(500).json({ message: "Error al crear la plantilla." });
+  }
+});
+
+// Elimina una plantilla de plan del usuario. Los planes ya generados con ella no cambian.
+app.delete("/api/planner/templates/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const templateId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(templateId)) {
+    return res.status(404).json({ message: "Plantilla no encontrada." });
+  }
+
+  try {
+    const { count } = await prisma.planTemplate.deleteMany({
+      where: { id: templateId, userId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Plantilla no encontrada." });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al eliminar la plantilla:", error);
+    res.status(500).json({ message: "Error al eliminar la plantilla." });
+  }
+});
+
+// Aplica una plantilla a un rango de días. La plantilla se repite cíclicamente: en una plantilla
+// de 7 días aplicada a 14, el octavo día recibe las comidas del primero. Si no se indica `to`,
+// el rango dura lo mismo que la plantilla. Los conflictos se resuelven según `mode`.
+app.post("/api/planner/templates/:id/apply", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const templateId = parseInt(req.params.id, 10);
+  const { mode } = req.body;
+
+  try {
+    const template = Number.isInteger(templateId)
+      ? await prisma.planTemplate.findUnique({
+        where: { id: templateId },
+        include: { entries: { where: { recipe: visibleRecipesWhere(userId) } } },
+      })
+      : null;
+
+    if (!template || template.userId !== userId) {
+      return res.status(404).json({ message: "Plantilla no encontrada." });
+    }
+
+    const { errors, days } = parseDayRange(req.body, template.days);
+    if (mode !== undefined && !CONFLICT_MODES.includes(mode)) {
+      errors.push(`El parámetro 'mode' debe ser uno de: ${CONFLICT_MODES.join(', ')}.`);
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const entriesByDay = new Map(days.map((day, index) => [
+      toDateKey(day),
+      template.entries
+        .filter(entry => entry.dayOffset === index % template.days)
+        .map(({ recipeId, mealSlot, servings }) => ({ recipeId, mealSlot, servings })),
+    ]));
+
+    await sendPlanEntriesWrite(res, userId, entriesByDay, mode);
+  } catch (error) {
+    console.error("Error al aplicar la plantilla:", error);
+    res.status(500).json({ message: "Error al aplicar la plantilla." });
+  }
+});
+
+// Copia las entradas de un día a otros días, indicados como lista (`dates`) o como rango
+// (`from` y `to`). El propio día de origen se ignora si aparece entre los destinos.
+// Los conflictos con las comidas existentes se resuelven según `mode`.
+app.post("/api/planner/:date/copy", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const sourceDate = parseDateParam(req.params.date);
+  const { mode } = req.body;
+  const errors = [];
+  let targets = [];
+
+  if (!sourceDate) {
+    errors.push("La fecha de origen debe tener el formato YYYY-MM-DD.");
+  }
+  if (Array.isArray(req.body.dates)) {
+    targets = req.body.dates.map(parseDateParam);
+    if (targets.length === 0 || targets.some(date => !date)) {
+      errors.push("'dates' debe ser una lista de fechas YYYY-MM-DD.");
+    } else if (targets.length > MAX_PLANNER_RANGE_DAYS) {
+      errors.push(`No se pueden copiar más de ${MAX_PLANNER_RANGE_DAYS} días a la vez.`);
+    }
+  } else {
+    const range = parseDayRange(req.body);
+    errors.push(...range.errors);
+    targets = range.days || [];
+  }
+  if (mode !== undefined && !CONFLICT_MODES.includes(mode)) {
+    errors.push(`El parámetro 'mode' debe ser uno de: ${CONFLICT_MODES.join(', ')}.`);
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    const source = await prisma.dailyPlan.findUnique({
+      where: { userId_date: { userId, date: sourceDate } },
+      include: { entries: { where: { recipe: visibleRecipesWhere(userId) }, orderBy: { id: 'asc' } } },
+    });
+
+    if (!source || source.entries.length === 0) {
+      return res.status(404).json({ message: "El día de origen no tiene comidas planificadas." });
+    }
+
+    const entries = source.entries.map(({ recipeId, mealSlot, servings }) => ({ recipeId, mealSlot, servings }));
+    const sourceKey = toDateKey(sourceDate);
+    const entriesByDay = new Map(targets
+      .map(toDateKey)
+      .filter(key => key !== sourceKey)
+      .map(key => [key, entries]));
+
+    await sendPlanEntriesWrite(res, userId, entriesByDay, mode);
+  } catch (error) {
+    console.error("Error al copiar el plan:", error);
+    res.status(500).json({ message: "Error al copiar el plan." });
+  }
+});
+
+// --- Completar el día ---
+
+// Margen, como fracción del objetivo calórico, dentro del cual se considera que un día cumple
+// el objetivo. Lo usan la propuesta para completar el día y el historial calórico.
+const CALORIE_GOAL_TOLERANCE = 0.1;
+
+// Reparto orientativo de las calorías del día entre las franjas.
+const MEAL_SLOT_SHARES = { breakfast: 0.25, lunch: 0.35, dinner: 0.3, snack: 0.1 };
+
+// Límites de las porciones propuestas; se redondean a medias porciones.
+const MIN_PROPOSED_SERVINGS = 0.5;
+const MAX_PROPOSED_SERVINGS = 3;
+
+/**
+ * Elige las porciones de una receta que más se acercan a las calorías objetivo de una franja.
+ * @param {number} kcalPerServing Las calorías de una porción.
+ * @param {number} targetKcal Las calorías objetivo.
+ * @returns {number} Las porciones, en múltiplos de 0,5.
+ */
+const proposeServings = (kcalPerServing, targetKcal) => {
+  if (!(kcalPerServing > 0)) {
+    return 1;
+  }
+  const servings = Math.round((targetKcal / kcalPerServing) * 2) / 2;
+  return Math.min(MAX_PROPOSED_SERVINGS, Math.max(MIN_PROPOSED_SERVINGS, servings));
+};
+
+/**
+ * Devuelve las franjas ocupadas por las entradas de un día: las que tienen alguna entrada que no
+ * se haya omitido.
+ * @param {{mealSlot: string|null, status: string}[]} entries Las entradas del día.
+ * @returns {Set<string>} Las franjas ocupadas.
+ */
+const usedMealSlots = (entries) => new Set(entries
+  .filter(entry => entry.status !== 'skipped' && entry.mealSlot)
+  .map(entry => entry.mealSlot));
+
+/**
+ * Devuelve el plan de un día y las franjas que siguen libres (ver `usedMealSlots`).
+ * @param {number} userId El usuario.
+ * @param {Date} date El día.
+ * @returns {Promise<{plan: object|null, usedSlots: Set<string>, emptySlots: string[]}>}
+ */
+const findDaySlots = async (userId, date) => {
+  const plan = await prisma.dailyPlan.findUnique({
+    where: { userId_date: { userId, date } },
+    include: planInclude(userId),
+  });
+  const usedSlots = usedMealSlots(plan?.entries || []);
+  return { plan, usedSlots, emptySlots: MEAL_SLOTS.filter(slot => !usedSlots.has(slot)) };
+};
+
+// Propone recetas para las franjas libres de un día de forma que el total se acerque al
+// `calorieGoal` del usuario dentro de un margen (`tolerance`, por defecto 10 %).
+// Las calorías que faltan se reparten entre las franjas libres según `MEAL_SLOT_SHARES` y, para
+// cada una, se elige la receta mejor puntuada (que aproveche la despensa) y las porciones que
+// más se acercan a su parte. Ninguna receta se repite en el día, se respetan las dietas y los
+// alérgenos del perfil del usuario (salvo con `ignoreDietaryProfile: true`) y `exclude` permite
+// descartar además otros ingredientes. La propuesta no se guarda: para aplicarla se
+// envían sus entradas a `POST /api/planner/:date/complete/accept`.
+app.post("/api/planner/:date/complete", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const date = parseDateParam(req.params.date);
+  const tolerance = req.body.tolerance ?? CALORIE_GOAL_TOLERANCE;
+  const exclude = parseListParam(req.body.exclude);
+  const dietaryProfile = dietaryFilterFor(req);
+  const errors = [];
+
+  if (!date) {
+    errors.push("La fecha debe tener el formato YYYY-MM-DD.");
+  }
+  if (typeof tolerance !== 'number' || tolerance < 0 || tolerance > 0.5) {
+    errors.push("'tolerance' debe ser un número entre 0 y 0.5.");
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    const [user, { plan, emptySlots }] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { calorieGoal: true } }),
+      findDaySlots(userId, date),
+    ]);
+
+    const plannedKcal = plan ? withPlanTotals(plan).totals.kcal : 0;
+    const usedRecipeIds = (plan?.entries || []).map(entry => entry.recipeId);
+    const proposal = [];
+    let remainingKcal = user.calorieGoal - plannedKcal;
+    let remainingShare = emptySlots.reduce((sum, slot) => sum + MEAL_SLOT_SHARES[slot], 0);
+
+    // Las franjas se rellenan en orden y cada una recibe su parte de lo que aún falta, de modo
+    // que si una receta se pasa o se queda corta, las franjas siguientes lo compensan.
+    for (const mealSlot of emptySlots) {
+      if (remainingKcal <= user.calorieGoal * tolerance) {
+        break;
+      }
+      const slotKcal = (remainingKcal * MEAL_SLOT_SHARES[mealSlot]) / remainingShare;
+      remainingShare -= MEAL_SLOT_SHARES[mealSlot];
+
+      const [best] = await scoreRecipesForUser({
+        userId,
+        timeZone: req.timeZone,
+        targetKcal: slotKcal,
+        excludeRecipeIds: usedRecipeIds,
+        excludeIngredients: exclude,
+        dietaryProfile,
+        take: 1,
+      });
+      if (!best) {
+        continue;
+      }
+
+      const servings = proposeServings(best.kcal_per_serving, slotKcal);
+      const kcal = Math.round(best.kcal_per_serving * servings);
+      const [recipe] = await withRecipeScores([best], slotKcal);
+      usedRecipeIds.push(best.id);
+      remainingKcal -= kcal;
+      proposal.push({ mealSlot, recipeId: best.id, servings, kcal, recipe });
+    }
+
+    const totalKcal = plannedKcal + proposal.reduce((sum, entry) => sum + entry.kcal, 0);
+    res.status(200).json({
+      date: toDateKey(date),
+      calorieGoal: user.calorieGoal,
+      tolerance,
+      plannedKcal,
+      totalKcal,
+      difference: totalKcal - user.calorieGoal,
+      withinTolerance: Math.abs(totalKcal - user.calorieGoal) <= user.calorieGoal * tolerance,
+      emptySlots,
+      dietaryFilter: dietaryProfile,
+      proposal,
+    });
+  } catch (error) {
+    console.error("Error al completar el día:", error);
+    res.status(500).json({ message: "Error al completar el día." });
+  }
+});
+
+// Acepta una propuesta de `POST /api/planner/:date/complete` y la guarda como entradas del plan.
+// Recibe `entries: [{ recipeId, mealSlot, servings }]`, con una franja distinta en cada una.
+// Si alguna franja ya se ha ocupado o alguna receta ya está en el día desde que se generó la
+// propuesta, responde 409.
+app.post("/api/planner/:date/complete/accept", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const date = parseDateParam(req.params.date);
+  const { entries } = req.body;
+  const errors = [];
+  const parsed = [];
+
+  if (!date) {
+    errors.push("La fecha debe tener el formato YYYY-MM-DD.");
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    errors.push("'entries' debe ser una lista no vacía.");
+  } else {
+    entries.forEach((entry, index) => {
+      const { errors: entryErrors, data } = parsePlanEntryInput(entry || {});
+      const recipeId = parseInt(entry?.recipeId, 10);
+      if (!Number.isInteger(recipeId)) {
+        entryErrors.push("El ID de la receta es obligatorio.");
+      }
+      if (!data.mealSlot) {
+        entryErrors.push("La franja es obligatoria.");
+      }
+      errors.push(...entryErrors.map(error => `Entrada ${index + 1}: ${error}`));
+      parsed.push({ recipeId, ...data });
+    });
+    if (new Set(parsed.map(entry => entry.recipeId)).size !== parsed.length) {
+      errors.push("Una receta no puede repetirse en el mismo día.");
+    }
+    if (new Set(parsed.map(entry => entry.mealSlot)).size !== parsed.length) {
+      errors.push("Una franja no puede repetirse en el mismo día.");
+    }
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    const recipeCount = await prisma.recipe.count({
+      where: { id: { in: parsed.map(entry => entry.recipeId) }, ...visibleRecipesWhere(userId) },
+    });
+    if (recipeCount !== parsed.length) {
+      return res.status(404).json({ message: "Alguna de las recetas no existe." });
+    }
+
+    // Las franjas se comprueban en la misma transacción que escribe las entradas, con el plan del
+    // día bloqueado, para que dos aceptaciones simultáneas no ocupen la misma franja.
+    const result = await prisma.$transaction(async (tx) => {
+      const plan = await tx.dailyPlan.upsert({
+        where: { userId_date: { userId, date } },
+        update: {},
+        create: { userId, date },
+        select: { id: true },
+      });
+      await tx.$queryRaw`SELECT "id" FROM "daily_plans" WHERE "id" = ${plan.id} FOR UPDATE`;
+
+      const existing = await tx.planEntry.findMany({
+        where: { planId: plan.id },
+        select: { recipeId: true, mealSlot: true, status: true },
+      });
+      const usedSlots = usedMealSlots(existing);
+      const plannedRecipeIds = new Set(existing.map(entry => entry.recipeId));
+      const conflicts = parsed
+        .filter(entry => usedSlots.has(entry.mealSlot) || plannedRecipeIds.has(entry.recipeId))
+        .map(entry => entry.mealSlot);
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+
+      await tx.planEntry.createMany({ data: parsed.map(entry => ({ ...entry, planId: plan.id })) });
+      return { created: parsed.length };
+    });
+
+    if (result.conflicts) {
+      return res.status(409).json({
+        message: "El día ha cambiado desde que se generó la propuesta. Vuelve a generarla.",
+        conflicts: result.conflicts,
+      });
+    }
+
+    await sendWrittenPlans(res, userId, [toDateKey(date)], result.created);
+  } catch (error) {
+    console.error("Error al aceptar la propuesta:", error);
+    res.status(500).json({ message: "Error al aceptar la propuesta." });
+  }
+});
+
+// Devuelve el plan de un día concreto (`YYYY-MM-DD`). Si el día no tiene plan, se devuelve
+// uno vacío sin crearlo. Debe declararse después de `/api/planner/today` y de las rutas de
+// plantillas para que "today" o "templates" no se interpreten como una fecha.
+app.get("/api/planner/:date", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const date = parseDateParam(req.params.date);
+
+  if (!date) {
+    return sendValidationError(res, ["La fecha debe tener el formato YYYY-MM-DD."]);
+  }
+
+  try {
+    const plan = await prisma.dailyPlan.findUnique({
+      where: {
+        userId_date: { userId, date },
+      },
+      include: planInclude(userId),
+    });
+
+    res.status(200).json(withPlanTotals(plan || { id: null, date, userId, entries: [] }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error al obtener el planificador." });
+  }
+});
+
+// Endpoint para añadir una receta al planificador.
+// El día se indica con `date` (YYYY-MM-DD, por defecto hoy en la zona horaria del usuario) y el plan se crea si aún no existe;
+// por compatibilidad también se acepta el `planId` de un plan ya obtenido, que debe pertenecer
+// al usuario. Opcionalmente se indican la franja (`mealSlot`) y las porciones (`servings`).
+app.post("/api/planner/entries", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseIdInput(req.body.recipeId);
+  // `planId: null` equivale a no indicarlo.
+  const hasPlanId = req.body.planId !== undefined && req.body.planId !== null;
+  const planId = hasPlanId ? parseIdInput(req.body.planId) : null;
+  const date = req.body.date !== undefined ? parseDateParam(req.body.date) : todayFor(req.timeZone);
+  const { errors, data } = parsePlanEntryInput(req.body);
+
+  if (recipeId === null) {
+    errors.push("recipeId es requerido y debe ser un número entero.");
+  }
+  if (hasPlanId && planId === null) {
+    errors.push("planId debe ser un número entero.");
+  }
+  if (!date) {
+    errors.push("La fecha debe tener el formato YYYY-MM-DD.");
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos de la entrada inválidos.");
+  }
+
+  try {
+    const recipe = await findVisibleRecipe(recipeId, userId, res);
+    if (!recipe) {
+      return;
+    }
+
+    let targetPlanId = planId;
+    if (planId !== null) {
+      const plan = await prisma.dailyPlan.findUnique({ where: { id: planId }, select: { userId: true } });
+      if (!plan) {
+        return res.status(404).json({ message: "Plan no encontrado." });
+      }
+      if (plan.userId !== userId) {
+        return res.status(403).json({ message: "El plan no pertenece al usuario." });
+      }
+    } else {
+      targetPlanId = (await prisma.dailyPlan.upsert({
+        where: {
+          userId_date: { userId, date },
+        },
+        update: {},
+        create: { userId, date },
+        select: { id: true },
+      })).id;
+    }
+
+    const newEntry = await prisma.planEntry.create({
+      data: {
+        ...data,
+        planId: targetPlanId,
+        recipeId,
+      },
+      include: {
+        recipe: true // Devolver la receta completa para actualizar la UI
+      }
+    });
+    res.status(201).json(newEntry);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error al añadir la receta al plan." });
+  }
+});
+
+// Endpoint para cambiar la franja o las porciones de una entrada del planificador.
+app.patch("/api/planner/entries/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const entryId = parseInt(req.params.id, 10);
+  const { errors, data } = parsePlanEntryInput(req.body);
+
+  if (!Number.isInteger(entryId)) {
+    return res.status(404).json({ message: "Entrada no encontrada o no pertenece al usuario." });
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos de la entrada inválidos.");
+  }
+
+  try {
+    const entry = await prisma.planEntry.findUnique({
+      where: { id: entryId },
+      select: { plan: { select: { userId: true } } },
+    });
+
+    if (!entry || entry.plan.userId !== userId) {
+      return res.status(404).json({ message: "Entrada no encontrada o no pertenece al usuario." });
+    }
+
+    const updatedEntry = await prisma.planEntry.update({
+      where: { id: entryId },
+      data,
+      include: { recipe: true },
+    });
+    res.status(200).json(updatedEntry);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error al actualizar la entrada del plan." });
+  }
+});
+
+/**
+ * Descuenta de la despensa los ingredientes de una entrada cocinada y registra cada cambio
+ * para poder deshacerlo. Los ingredientes de la despensa sin cantidad se retiran por completo;
+ * los que tienen cantidad se reducen si la unidad coincide con la de la receta y se retiran
+ * cuando llegan a cero. Si las unidades no coinciden, el ingrediente no se toca.
+ * @param {object} tx El cliente de la transacción de Prisma.
+ * @param {number} userId El ID del usuario.
+ * @param {object} entry La entrada, con su receta y los ingredientes de esta.
+ * @returns {Promise<number>} El número de ingredientes de la despensa modificados.
+ */
+const deductPantryForEntry = async (tx, userId, entry) => {
+  const factor = entry.servings / entry.recipe.servings;
+  const pantryItems = await tx.userPantryItem.findMany({
+    where: { userId },
+    include: { canonical: { select: { name: true } } },
+  });
+  const pantryByName = new Map(pantryItems.map(item => [ingredientKey(item.ingredientName, item.canonical), item]));
+  let changed = 0;
+
+  for (const ingredient of entry.recipe.ingredients) {
+    const key = ingredientKey(ingredient.name, ingredient.canonical);
+    const pantryItem = pantryByName.get(key);
+    if (!pantryItem) {
+      continue;
+    }
+
+    let remaining = null;
+    if (pantryItem.quantity !== null) {
+      if (ingredient.quantity === null || ingredient.unit !== pantryItem.unit) {
+        continue;
+      }
+      remaining = pantryItem.quantity - ingredient.quantity * factor;
+    }
+    const removed = remaining === null || remaining <= 0;
+
+    await tx.pantryDeduction.create({
+      data: {
+        entryId: entry.id,
+        ingredientName: pantryItem.ingredientName,
+        previousQuantity: pantryItem.quantity,
+        deductedQuantity: removed ? pantryItem.quantity : pantryItem.quantity - remaining,
+        unit: pantryItem.unit,
+        expiresAt: pantryItem.expiresAt,
+        removed,
+      },
+    });
+    if (removed) {
+      await tx.userPantryItem.delete({ where: { id: pantryItem.id } });
+    } else {
+      await tx.userPantryItem.update({ where: { id: pantryItem.id }, data: { quantity: roundQuantity(remaining) } });
+    }
+    pantryByName.delete(key);
+    changed++;
+  }
+
+  return changed;
+};
+
+/**
+ * Deshace los descuentos de despensa registrados para una entrada: devuelve las cantidades
+ * descontadas y vuelve a crear los ingredientes retirados.
+ * @param {object} tx El cliente de la transacción de Prisma.
+ * @param {number} userId El ID del usuario.
+ * @param {number} entryId El ID de la entrada.
+ * @returns {Promise<number>} El número de ingredientes restaurados.
+ */
+const restorePantryForEntry = async (tx, userId, entryId) => {
+  const deductions = await tx.pantryDeduction.findMany({ where: { entryId } });
+
+  for (const deduction of deductions) {
+    const canonicals = await resolveCanonicalIngredients([deduction.ingredientName], tx);
+    const canonicalId = canonicals.get(normalizeIngredientKey(deduction.ingredientName))?.id ?? null;
+    const current = await findPantryItem(tx, userId, deduction.ingredientName, canonicalId);
+
+    if (!current) {
+      await tx.userPantryItem.create({
+        data: {
+          userId,
+          ingredientName: deduction.ingredientName,
+          canonicalId,
+          quantity: deduction.removed ? deduction.previousQuantity : deduction.deductedQuantity,
+          unit: deduction.unit,
+          expiresAt: deduction.expiresAt,
+        },
+      });
+    } else if (current.quantity !== null && deduction.deductedQuantity !== null && current.unit === deduction.unit) {
+      await tx.userPantryItem.update({
+        where: { id: current.id },
+        data: { quantity: roundQuantity(current.quantity + deduction.deductedQuantity) },
+      });
+    }
+  }
+
+  await tx.pantryDeduction.deleteMany({ where: { entryId } });
+  return deductions.length;
+};
+
+// Cambia el estado de una entrada del planificador (`planned`, `cooked` o `skipped`).
+// Al marcarla como cocinada con `deductPantry: true`, los ingredientes de la receta se descuentan
+// de la despensa. Cualquier cambio posterior desde `cooked` (por ejemplo, volver a `planned`)
+// deshace ese descuento.
+app.post("/api/planner/entries/:id/status", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const entryId = parseInt(req.params.id, 10);
+  const { status, deductPantry = false } = req.body;
+
+  if (!Number.isInteger(entryId)) {
+    return res.status(404).json({ message: "Entrada no encontrada o no pertenece al usuario." });
+  }
+  if (!ENTRY_STATUSES.includes(status)) {
+    return sendValidationError(res, [`El estado debe ser uno de: ${ENTRY_STATUSES.join(', ')}.`]);
+  }
+
+  try {
+    const entry = await prisma.planEntry.findUnique({
+      where: { id: entryId },
+      include: {
+        plan: { select: { userId: true } },
+        recipe: {
+          select: {
+            servings: true,
+            ingredients: { include: { canonical: { select: { name: true } } } },
+          },
+        },
+      },
+    });
+
+    if (!entry || entry.plan.userId !== userId) {
+      return res.status(404).json({ message: "Entrada no encontrada o no pertenece al usuario." });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      let pantryRestored = 0;
+      let pantryDeducted = 0;
+      if (entry.status === status) {
+        return { pantryRestored, pantryDeducted };
+      }
+
+      // El cambio solo se aplica si la entrada sigue en el estado leído. Si otra petición
+      // simultánea ya la cambió, la despensa no se vuelve a descontar ni a restaurar.
+      const { count } = await tx.planEntry.updateMany({
+        where: { id: entryId, status: entry.status },
+        data: {
+          status,
+          cookedAt: status === 'cooked' ? new Date() : null,
+        },
+      });
+      if (count === 0) {
+        return { pantryRestored, pantryDeducted };
+      }
+
+      if (entry.status === 'cooked') {
+        pantryRestored = await restorePantryForEntry(tx, userId, entryId);
+      }
+      if (status === 'cooked' && deductPantry) {
+        pantryDeducted = await deductPantryForEntry(tx, userId, entry);
+      }
+      return { pantryRestored, pantryDeducted };
+    });
+
+    const updatedEntry = await prisma.planEntry.findUnique({
+      where: { id: entryId },
+      include: { recipe: true },
+    });
+    res.status(200).json({ ...updatedEntry, ...result });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error al actualizar el estado de la entrada." });
+  }
+});
+
+// Endpoint para eliminar una entrada del planificador.
+app.delete("/api/planner/entries/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const entryId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(entryId)) {
+    return res.status(404).json({ message: "Entrada no encontrada o no pertenece al usuario." });
+  }
+
+  try {
+    // Verificación: asegurar que la entrada pertenezca al plan del usuario.
+    const entry = await prisma.planEntry.findUnique({
+      where: { id: entryId },
+      select: { plan: { select: { userId: true } } },
+    });
+
+    if (!entry || entry.plan.userId !== userId) {
+      return res.status(404).json({ message: "Entrada no encontrada o no pertenece al usuario." });
+    }
+
+    await prisma.planEntry.delete({
+      where: { id: entryId },
+    });
+    res.status(204).send(); // 204 No Content
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Error al eliminar la receta del plan." });
+  }
+});
+
+// --- Endpoints de Usuario ---
+
+// Endpoint para obtener la fecha de la primera entrada del historial del usuario.
+app.get("/api/users/me/first-entry-date", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const firstPlan = await prisma.dailyPlan.findFirst({
+      where: { userId },
+      orderBy: {
+        date: 'asc',
+      },
+      select: {
+        date: true,
+      },
+    });
+
+    res.status(200).json({ firstEntryDate: firstPlan ? firstPlan.date : null });
+  } catch (error) {
+    console.error("Error al obtener la primera fecha de entrada:", error);
+    res.status(500).json({ message: "Error al obtener la fecha." });
+  }
+});
+
+// Endpoint para actualizar el perfil del usuario.
+app.put("/api/users/me", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  // Se extraen solo los campos que permitimos actualizar.
+  const { name, calorieGoal, phone, address, idNumber, timezone } = req.body;
+  const dietary = parseDietaryProfile(req.body);
+
+  // Validación básica
+  if (!name || !calorieGoal || !phone || !address || !idNumber) {
+    return sendValidationError(res, ["Todos los campos son obligatorios."]);
+  }
+  // La zona horaria es opcional: si no se envía, se conserva la actual.
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return sendValidationError(res, ["La zona horaria debe ser un identificador IANA válido, como 'America/Bogota'."]);
+  }
+  // Igual que las dietas y los alérgenos (`diets` y `allergens`), con los que se filtran las recetas.
+  if (dietary.errors.length > 0) {
+    return sendValidationError(res, dietary.errors);
+  }
+
+  try {
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        name,
+        calorieGoal: Number(calorieGoal),
+        phone,
+        address,
+        idNumber,
+        timezone,
+        ...dietary.data,
+      },
+    });
+
+    // Se eliminan la contraseña y el hash del token del calendario antes de devolverlo.
+    const userToReturn = { ...updatedUser };
+    delete userToReturn.password;
+    delete userToReturn.calendarTokenHash;
+
+    res.status(200).json(userToReturn);
+  } catch (error) {
+    console.error("Error al actualizar el perfil:", error);
+    res.status(500).json({ message: "Error al actualizar el perfil." });
+  }
+});
+
+// Lista las sesiones activas del usuario (dispositivos con la sesión iniciada).
+// Se marca la sesión desde la que se hace la petición para que el frontend pueda distinguirla.
+app.get("/api/users/me/sessions", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    res.status(200).json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.sessionId,
+    })));
+  } catch (error) {
+    console.error("Error al obtener las sesiones:", error);
+    res.status(500).json({ message: "Error al obtener las sesiones." });
+  }
+});
+
+// Revoca todas las sesiones del usuario excepto la actual ("cerrar sesión en los demás dispositivos").
+app.delete("/api/users/me/sessions", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    await prisma.session.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        id: { not: req.sessionId },
+      },
+      data: { revokedAt: new Date() },
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al revocar las sesiones:", error);
+    res.status(500).json({ message: "Error al revocar las sesiones." });
+  }
+});
+
+// Revoca una sesión concreta del usuario.
+app.delete("/api/users/me/sessions/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const sessionId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(sessionId)) {
+    return res.status(404).json({ message: "Sesión no encontrada o no pertenece al usuario." });
+  }
+
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: sessionId,
+        userId,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Sesión no encontrada o no pertenece al usuario." });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al revocar la sesión:", error);
+    res.status(500).json({ message: "Error al revocar la sesión." });
+  }
+});
+
+// Días durante los que una receta cocinada se considera "comida hace poco" y se penaliza.
+const RECENT_MEAL_DAYS = 7;
+
+// Días de historial que se usan para deducir qué recetas prefiere el usuario.
+const PREFERENCE_HISTORY_DAYS = 90;
+
+// Lo que suma a la preferencia que una receta esté entre las favoritas del usuario.
+const FAVORITE_PREFERENCE_BONUS = 0.5;
+
+// Peso de cada componente en la puntuación final de una recomendación.
+// - `pantry`: fracción de ingredientes que hay en la despensa (con bonificación por caducidad).
+// - `calories`: cómo encaja la porción en las calorías que quedan en el presupuesto.
+// - `preference`: recetas que el usuario cocina a menudo, tiene en favoritas o ha valorado bien.
+// - `recency`: penalización (se resta) por haber comido la receta en los últimos días.
+const RECOMMENDATION_WEIGHTS = {
+  pantry: 0.4,
+  calories: 0.3,
+  preference: 0.3,
+  recency: 0.5,
+};
+
+/**
+ * Escapa los caracteres especiales de un patrón `LIKE` de PostgreSQL (`%`, `_` y `\`) para que
+ * el texto se busque literalmente.
+ * @param {string} text El texto a buscar.
+ * @returns {string} El texto escapado.
+ */
+const escapeLikePattern = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Puntúa las recetas para un usuario y devuelve las mejores. Todo el cálculo se hace en una
+ * única consulta SQL, sin cargar la tabla de recetas en memoria:
+ * - Solo se tienen en cuenta las recetas públicas y las del propio usuario y, si se indica un
+ *   perfil alimentario, las ya etiquetadas que no contienen sus alérgenos y son aptas para
+ *   todas sus dietas.
+ * - Los ingredientes se comparan con la despensa por la misma clave que usan la despensa y la
+ *   lista de la compra (`ingredientKey`): la del ingrediente canónico o, si no está enlazado, la
+ *   columna `key` del ingrediente. Las claves de la despensa se calculan antes en JS.
+ * - La puntuación calórica es 1 si las calorías por porción caben en `targetKcal` y baja
+ *   linealmente hasta 0 cuando lo duplican. Sin presupuesto (`targetKcal <= 0`) vale 0.
+ * - La preferencia crece con las veces que el usuario cocinó la receta en los últimos
+ *   `PREFERENCE_HISTORY_DAYS` días (un tercio por vez), suma `FAVORITE_PREFERENCE_BONUS` si la
+ *   tiene en favoritas y se ajusta según su valoración: +0,5 con 5 estrellas, nada con 3 y
+ *   -0,5 con 1. El resultado se limita al intervalo de 0 a 1.
+ * - La penalización por recencia vale 1 si se cocinó hoy y baja hasta 0 a los `RECENT_MEAL_DAYS` días.
+ * @param {object} options
+ * @param {number} options.userId El usuario.
+ * @param {string} options.timeZone La zona horaria del usuario, con la que se determina hoy.
+ * @param {number} options.targetKcal Las calorías disponibles para la comida.
+ * @param {number[]} [options.excludeRecipeIds=[]] Recetas que no deben proponerse.
+ * @param {string[]} [options.excludeIngredients=[]] Ingredientes prohibidos: se descartan las
+ *   recetas con algún ingrediente cuyo nombre, nombre canónico o alias los contenga.
+ * @param {{diets: string[], allergens: string[]}|null} [options.dietaryProfile=null] El perfil
+ *   alimentario con el que filtrar (ver `dietaryFilterFor`), o null para no filtrar.
+ * @param {number} options.take Cuántas recetas devolver.
+ * @returns {Promise<object[]>} Filas con el id de la receta, sus calorías por porción, los
+ *   ingredientes que faltan y que caducan, los días desde que se cocinó y cuántas veces, si es
+ *   favorita, la valoración del usuario, cada componente de la puntuación y la puntuación final,
+ *   ordenadas de mayor a menor.
+ */
+const scoreRecipesForUser = async ({
+  userId, timeZone, targetKcal, excludeRecipeIds = [], excludeIngredients = [], dietaryProfile = null, take,
+}) => {
+  const today = todayFor(timeZone);
+  const excludedNames = excludeIngredients.map(name => `%${escapeLikePattern(name.toLowerCase())}%`);
+  const excludedKeys = excludeIngredients.map(name => `%${escapeLikePattern(normalizeIngredientKey(name))}%`);
+
+  // Una entrada por clave de la despensa; si dos elementos comparten clave, basta con que uno caduque.
+  const pantryItems = await prisma.userPantryItem.findMany({
+    where: { userId },
+    select: { ingredientName: true, expiresAt: true, canonical: { select: { name: true } } },
+  });
+  const expiringLimit = daysFromToday(EXPIRING_SOON_DAYS, timeZone);
+  const pantry = new Map();
+  for (const item of pantryItems) {
+    const key = ingredientKey(item.ingredientName, item.canonical);
+    const expiring = item.expiresAt !== null && item.expiresAt <= expiringLimit;
+    pantry.set(key, Boolean(pantry.get(key)) || expiring);
+  }
+
+  return prisma.$queryRaw`
+    WITH pantry AS (
+      SELECT * FROM unnest(${[...pantry.keys()]}::text[], ${[...pantry.values()]}::boolean[]) AS p("key", expiring)
+    ),
+    ingredient_matches AS (
+      SELECT i."recipeId",
+             COALESCE(c."name", lower(trim(i."name"))) AS name,
+             p."key" IS NOT NULL AS in_pantry,
+             COALESCE(p.expiring, false) AS expiring
+      FROM "ingredients" i
+      LEFT JOIN "canonical_ingredients" c ON c."id" = i."canonicalId"
+      LEFT JOIN pantry p ON p."key" = COALESCE(c."key", i."key")
+    ),
+    pantry_scores AS (
+      SELECT "recipeId",
+             COUNT(*)::int AS total,
+             (COUNT(*) FILTER (WHERE in_pantry))::int AS matched,
+             (COUNT(*) FILTER (WHERE expiring))::int AS expiring,
+             COALESCE(array_agg(DISTINCT name) FILTER (WHERE NOT in_pantry), '{}') AS missing,
+             COALESCE(array_agg(DISTINCT name) FILTER (WHERE expiring), '{}') AS expiring_names
+      FROM ingredient_matches
+      GROUP BY "recipeId"
+    ),
+    history AS (
+      SELECT e."recipeId",
+             MAX(d."date") AS last_cooked,
+             COUNT(*)::int AS times_cooked
+      FROM "plan_entries" e
+      JOIN "daily_plans" d ON d."id" = e."planId"
+      WHERE d."userId" = ${userId}
+        AND e."status" = 'cooked'
+        AND d."date" >= ${daysFromToday(-PREFERENCE_HISTORY_DAYS, timeZone)}
+        AND d."date" <= ${today}
+      GROUP BY e."recipeId"
+    ),
+    scored AS (
+      SELECT r."id",
+             r."kcal"::float / r."servings" AS kcal_per_serving,
+             COALESCE(ps.total, 0) AS total_ingredients,
+             COALESCE(ps.matched, 0) AS matched_ingredients,
+             COALESCE(ps.missing, '{}') AS missing,
+             COALESCE(ps.expiring_names, '{}') AS expiring,
+             (${today}::date - h.last_cooked::date) AS days_since_cooked,
+             COALESCE(h.times_cooked, 0) AS times_cooked,
+             f."id" IS NOT NULL AS favorited,
+             rr."rating" AS user_rating,
+             CASE WHEN COALESCE(ps.total, 0) = 0 THEN 0
+                  ELSE (ps.matched + ${EXPIRING_BOOST}::float * ps.expiring) / ps.total
+             END AS pantry_score,
+             CASE WHEN ${targetKcal}::float <= 0 THEN 0
+                  WHEN r."kcal"::float / r."servings" <= ${targetKcal}::float THEN 1
+                  ELSE GREATEST(0, 1 - (r."kcal"::float / r."servings" - ${targetKcal}::float) / ${targetKcal}::float)
+             END AS calorie_score,
+             GREATEST(0, LEAST(1,
+               COALESCE(h.times_cooked, 0)::float / 3
+               + CASE WHEN f."id" IS NOT NULL THEN ${FAVORITE_PREFERENCE_BONUS}::float ELSE 0 END
+               + COALESCE((rr."rating" - 3)::float / 4, 0)
+             )) AS preference_score,
+             CASE WHEN h.last_cooked IS NULL THEN 0
+                  ELSE GREATEST(0, 1 - (${today}::date - h.last_cooked::date)::float / ${RECENT_MEAL_DAYS})
+             END AS recency_penalty
+      FROM "recipes" r
+      LEFT JOIN pantry_scores ps ON ps."recipeId" = r."id"
+      LEFT JOIN history h ON h."recipeId" = r."id"
+      LEFT JOIN "favorite_recipes" f ON f."recipeId" = r."id" AND f."userId" = ${userId}
+      LEFT JOIN "recipe_ratings" rr ON rr."recipeId" = r."id" AND rr."userId" = ${userId}
+      WHERE (r."visibility" = 'public' OR r."authorId" = ${userId})
+        AND (${dietaryProfile === null}::boolean OR r."dietaryTaggedAt" IS NOT NULL)
+        AND NOT (r."allergens" && ${dietaryProfile?.allergens ?? []}::text[])
+        AND r."diets" @> ${dietaryProfile?.diets ?? []}::text[]
+        AND NOT (r."id" = ANY(${excludeRecipeIds}::int[]))
+        AND NOT EXISTS (
+          SELECT 1
+          FROM "ingredients" i
+          LEFT JOIN "canonical_ingredients" c ON c."id" = i."canonicalId"
+          WHERE i."recipeId" = r."id"
+            AND (lower(i."name") LIKE ANY(${excludedNames}::text[])
+              OR c."key" LIKE ANY(${excludedKeys}::text[])
+              OR EXISTS (
+                SELECT 1 FROM "ingredient_aliases" a
+                WHERE a."canonicalId" = c."id" AND a."key" LIKE ANY(${excludedKeys}::text[])
+              ))
+        )
+    )
+    SELECT *,
+           ${RECOMMENDATION_WEIGHTS.pantry}::float * pantry_score
+             + ${RECOMMENDATION_WEIGHTS.calories}::float * calorie_score
+             + ${RECOMMENDATION_WEIGHTS.preference}::float * preference_score
+             - ${RECOMMENDATION_WEIGHTS.recency}::float * recency_penalty AS score
+    FROM scored
+    ORDER BY score DESC, "id" ASC
+    LIMIT ${take}
+  `;
+};
+
+/**
+ * Redacta en frases cortas por qué se recomienda una receta, a partir de una fila de
+ * `scoreRecipesForUser`.
+ * @param {object} row La fila puntuada.
+ * @param {number} targetKcal Las calorías disponibles con las que se puntuó.
+ * @returns {string[]} Las explicaciones, por ejemplo `["faltan: ajo, cebolla"]`.
+ */
+const explainRecipeScore = (row, targetKcal) => {
+  const explanation = [];
+  const kcal = Math.round(row.kcal_per_serving);
+
+  if (row.total_ingredients > 0) {
+    explanation.push(`tienes ${row.matched_ingredients} de ${row.total_ingredients} ingredientes`);
+  }
+  if (row.missing.length > 0) {
+    explanation.push(`faltan: ${row.missing.join(', ')}`);
+  }
+  if (row.expiring.length > 0) {
+    explanation.push(`aprovecha lo que caduca pronto: ${row.expiring.join(', ')}`);
+  }
+  if (targetKcal <= 0) {
+    explanation.push(`ya no quedan calorías en el presupuesto (${kcal} kcal por porción)`);
+  } else if (kcal <= targetKcal) {
+    explanation.push(`${kcal} kcal por porción, dentro de las ${Math.round(targetKcal)} kcal disponibles`);
+  } else {
+    explanation.push(`${kcal} kcal por porción, ${Math.round(kcal - targetKcal)} kcal por encima de lo disponible`);
+  }
+  if (row.days_since_cooked !== null) {
+    const days = row.days_since_cooked;
+    if (days < RECENT_MEAL_DAYS) {
+      explanation.push(days === 0 ? 'ya la cocinaste hoy' : `la cocinaste hace ${days} día${days === 1 ? '' : 's'}`);
+    }
+  }
+  if (row.times_cooked > 0 && row.recency_penalty === 0) {
+    explanation.push('sueles cocinarla');
+  }
+  if (row.favorited) {
+    explanation.push('está entre tus favoritas');
+  }
+  if (row.user_rating >= 4) {
+    explanation.push(`la valoraste con ${row.user_rating} estrellas`);
+  }
+
+  return explanation;
+};
+
+/**
+ * Carga los detalles de las recetas puntuadas y les añade su puntuación, el desglose por
+ * componentes y la explicación, respetando el orden de la puntuación.
+ * @param {object[]} rows Las filas devueltas por `scoreRecipesForUser`.
+ * @param {number} targetKcal Las calorías disponibles con las que se puntuó.
+ * @returns {Promise<object[]>} Las recetas con `favorited`, `score`, `scoreBreakdown` y `explanation`.
+ */
+const withRecipeScores = async (rows, targetKcal) => {
+  const recipes = await prisma.recipe.findMany({
+    where: { id: { in: rows.map(row => row.id) } },
+    include: RECIPE_INCLUDE,
+  });
+  const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return rows
+    .filter(row => recipesById.has(row.id))
+    .map(row => ({
+      ...recipesById.get(row.id),
+      favorited: row.favorited,
+      score: round(row.score),
+      scoreBreakdown: {
+        pantry: round(row.pantry_score),
+        calories: round(row.calorie_score),
+        preference: round(row.preference_score),
+        recency: -round(row.recency_penalty),
+      },
+      explanation: explainRecipeScore(row, targetKcal),
+    }));
+};
+
+// Número máximo de recetas que se pueden pedir de una vez en las recomendaciones.
+const MAX_RECOMMENDED_RECIPES = 20;
+
+// Recomienda recetas al usuario. Cada receta recibe una puntuación que combina los ingredientes
+// que tiene en la despensa (sobre todo los que caducan pronto), las calorías que le quedan hoy
+// respecto a su `calorieGoal`, las recetas que suele cocinar, tiene en favoritas o ha valorado
+// bien y una penalización por las que ha comido en los últimos días. Las recetas ya previstas
+// para hoy no se proponen, ni las que no encajan en su perfil alimentario (dietas y alérgenos)
+// salvo con `ignoreDietaryProfile=true`.
+// Cada receta incluye `score`, su desglose en `scoreBreakdown` y una `explanation` legible.
+// Con `take` se elige cuántas devolver (3 por defecto, hasta `MAX_RECOMMENDED_RECIPES`).
+app.get("/api/users/me/recommended-recipes", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  const take = req.query.take !== undefined ? Number(req.query.take) : 3;
+  if (!Number.isInteger(take) || take < 1 || take > MAX_RECOMMENDED_RECIPES) {
+    return sendValidationError(res, [`El parámetro 'take' debe ser un número entero entre 1 y ${MAX_RECOMMENDED_RECIPES}.`]);
+  }
+
+  try {
+    const [user, todayPlan] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { calorieGoal: true } }),
+      prisma.dailyPlan.findUnique({
+        where: { userId_date: { userId, date: todayFor(req.timeZone) } },
+        include: planInclude(userId),
+      }),
+    ]);
+
+    // Presupuesto restante: el objetivo diario menos lo que ya se ha cocinado o previsto hoy.
+    const plannedToday = todayPlan ? withPlanTotals(todayPlan).totals.kcal : 0;
+    const remainingKcal = user.calorieGoal - plannedToday;
+
+    const rows = await scoreRecipesForUser({
+      userId,
+      timeZone: req.timeZone,
+      targetKcal: remainingKcal,
+      excludeRecipeIds: todayPlan ? todayPlan.entries.map(entry => entry.recipeId) : [],
+      dietaryProfile: dietaryFilterFor(req),
+      take,
+    });
+
+    res.status(200).json(await withRecipeScores(rows, remainingKcal));
+  } catch (error) {
+    console.error("Error al obtener recetas recomendadas:", error);
+    res.status(500).json({ message: "Error al obtener recomendaciones." });
+  }
+});
+
+// Agrupaciones posibles del historial calórico.
+const HISTORY_GROUPS = ["day", "week", "month"];
+
+// Rango máximo del historial calórico, más amplio que el del planificador para poder agrupar por meses.
+const MAX_HISTORY_RANGE_DAYS = 366;
+
+// Días que abarca el historial si no se indica `from`.
+const DEFAULT_HISTORY_DAYS = 30;
+
+/**
+ * Devuelve el primer día del periodo (semana de lunes a domingo o mes) al que pertenece una fecha.
+ * @param {Date} date La fecha, a medianoche UTC.
+ * @param {string} groupBy Uno de `HISTORY_GROUPS`.
+ * @returns {Date} El inicio del periodo.
+ */
+const periodStart = (date, groupBy) => {
+  const start = new Date(date);
+  if (groupBy === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (groupBy === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+/**
+ * Construye la serie diaria del historial calórico de un usuario: un elemento por cada día del
+ * rango, con las calorías y los nutrientes de sus comidas (0 si no hay registros) y si el día
+ * queda dentro del margen del objetivo.
+ * @param {number} userId El usuario.
+ * @param {Date[]} days Los días del rango, ordenados.
+ * @param {object} query La query de la petición, para `includePlanned` (ver `historyEntryFilter`).
+ * @param {number} calorieGoal El objetivo calórico diario del usuario.
+ * @returns {Promise<object[]>} Los días con `date`, `totalCalories`, `nutrients` y `withinGoal`.
+ */
+const buildDailyHistory = async (userId, days, query, calorieGoal) => {
+  const plans = await prisma.dailyPlan.findMany({
+    where: {
+      userId,
+      date: { gte: days[0], lte: days[days.length - 1] },
+    },
+    include: {
+      entries: {
+        where: historyEntryFilter(query),
+        include: {
+          recipe: { select: RECIPE_NUTRITION_SELECT },
+        },
+      },
+    },
+  });
+
+  // Se agrupan por día de calendario (YYYY-MM-DD) las recetas de cada plan, escaladas a sus porciones.
+  const dailyTotals = new Map();
+  plans.forEach(plan => {
+    const dateKey = toDateKey(plan.date);
+    const recipes = plan.entries.map(entry => scaleNutrition(entry.recipe, entry.servings));
+    dailyTotals.set(dateKey, (dailyTotals.get(dateKey) || []).concat(recipes));
+  });
+
+  // Se rellena cada día del rango, o 0 si no hay registro, para que el gráfico no tenga huecos.
+  return days.map(day => {
+    const dateKey = toDateKey(day);
+    const { kcal, ...nutrients } = sumNutrition(dailyTotals.get(dateKey) || []);
+    return {
+      date: dateKey,
+      totalCalories: kcal,
+      nutrients,
+      withinGoal: kcal > 0 && Math.abs(kcal - calorieGoal) <= calorieGoal * CALORIE_GOAL_TOLERANCE,
+    };
+  });
+};
+
+/**
+ * Resume una serie de días del historial: totales, medias de los días con registros y
+ * porcentaje de cumplimiento del objetivo (días dentro del margen sobre días con registros).
+ * @param {object[]} days Los días, con `totalCalories`, `nutrients` y `withinGoal`.
+ * @returns {object} El resumen de la serie.
+ */
+const summarizeHistory = (days) => {
+  const tracked = days.filter(day => day.totalCalories > 0);
+  const daysWithinGoal = tracked.filter(day => day.withinGoal).length;
+  const average = (values) => (
+    values.length > 0 ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : 0
+  );
+
+  return {
+    days: days.length,
+    trackedDays: tracked.length,
+    totalCalories: days.reduce((sum, day) => sum + day.totalCalories, 0),
+    averageCalories: Math.round(average(tracked.map(day => day.totalCalories))),
+    averageNutrients: Object.fromEntries(NUTRIENT_FIELDS.map(field => [
+      field,
+      average(tracked.map(day => day.nutrients[field])),
+    ])),
+    daysWithinGoal,
+    adherence: tracked.length > 0 ? Math.round((daysWithinGoal / tracked.length) * 100) : null,
+  };
+};
+
+/**
+ * Calcula las rachas de días consecutivos dentro del objetivo. La racha actual cuenta hacia
+ * atrás desde el último día de la serie; si ese día es hoy y todavía no cumple, se empieza
+ * por ayer, porque el día aún no ha terminado.
+ * @param {object[]} days Los días ordenados, con `date` y `withinGoal`.
+ * @param {string} todayKey El día de hoy (`YYYY-MM-DD`) en la zona horaria del usuario.
+ * @returns {{currentStreak: number, longestStreak: number}}
+ */
+const goalStreaks = (days, todayKey) => {
+  let longestStreak = 0;
+  let run = 0;
+  for (const day of days) {
+    run = day.withinGoal ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  let end = days.length - 1;
+  if (end >= 0 && days[end].date === todayKey && !days[end].withinGoal) {
+    end--;
+  }
+  let currentStreak = 0;
+  while (end >= 0 && days[end].withinGoal) {
+    currentStreak++;
+    end--;
+  }
+
+  return { currentStreak, longestStreak };
+};
+
+// Historial calórico de un rango de días (`from` y `to`, por defecto los últimos 30 días hasta hoy
+// en la zona horaria del usuario). Por compatibilidad, `startDate` equivale a `from` con un rango
+// de 7 días y, como antes, la respuesta es solo la lista de días; el antiguo `timezoneOffset` se
+// ignora porque los días se calculan con la zona horaria (`timezone`) del perfil. Solo cuenta
+// las comidas marcadas como cocinadas, salvo que se indique `?includePlanned=true`.
+// Devuelve cada día (rellenando con 0 los días sin registros), los periodos agrupados según
+// `groupBy` (`day`, `week` o `month`) con sus medias y su cumplimiento del objetivo, y un resumen
+// del rango con las rachas de días dentro del objetivo (±`CALORIE_GOAL_TOLERANCE`).
+app.get("/api/users/me/calorie-history", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const groupBy = req.query.groupBy || 'day';
+  const today = todayFor(req.timeZone);
+
+  const legacy = req.query.from === undefined && req.query.startDate !== undefined;
+  let range;
+  if (legacy) {
+    range = parseDayRange({ from: req.query.startDate }, 7, MAX_HISTORY_RANGE_DAYS);
+  } else if (req.query.from === undefined) {
+    // Sin `from`, el rango son los `DEFAULT_HISTORY_DAYS` días que terminan en `to` (o en hoy).
+    const to = req.query.to !== undefined ? parseDateParam(req.query.to) : today;
+    const from = to ? new Date(to) : null;
+    from?.setUTCDate(from.getUTCDate() - (DEFAULT_HISTORY_DAYS - 1));
+    range = to
+      ? parseDayRange({ from: toDateKey(from), to: toDateKey(to) }, DEFAULT_HISTORY_DAYS, MAX_HISTORY_RANGE_DAYS)
+      : parseDayRange(req.query);
+  } else {
+    range = parseDayRange(req.query, DEFAULT_HISTORY_DAYS, MAX_HISTORY_RANGE_DAYS);
+  }
+
+  const errors = [...range.errors];
+  if (!HISTORY_GROUPS.includes(groupBy)) {
+    errors.push(`El parámetro 'groupBy' debe ser uno de: ${HISTORY_GROUPS.join(', ')}.`);
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  const { days } = range;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { calorieGoal: true } });
+    const history = await buildDailyHistory(userId, days, req.query, user.calorieGoal);
+    if (legacy) {
+      return res.status(200).json(history);
+    }
+
+    const periods = new Map();
+    days.forEach((day, index) => {
+      const key = toDateKey(periodStart(day, groupBy));
+      if (!periods.has(key)) {
+        periods.set(key, []);
+      }
+      periods.get(key).push(history[index]);
+    });
+
+    res.status(200).json({
+      from: toDateKey(days[0]),
+      to: toDateKey(days[days.length - 1]),
+      timezone: req.timeZone,
+      groupBy,
+      calorieGoal: user.calorieGoal,
+      tolerance: CALORIE_GOAL_TOLERANCE,
+      summary: {
+        ...summarizeHistory(history),
+        ...goalStreaks(history, toDateKey(today)),
+      },
+      periods: [...periods].map(([start, periodDays]) => ({
+        start,
+        end: periodDays[periodDays.length - 1].date,
+        ...summarizeHistory(periodDays),
+      })),
+      days: history,
+    });
+  } catch (error) {
+    console.error("Error al obtener el historial calórico:", error);
+    res.status(500).json({ message: "Error al obtener el historial." });
+  }
+});
+
+// Número de recetas más cocinadas que incluye el panel de estadísticas.
+const TOP_RECIPES_LIMIT = 5;
+
+/**
+ * Calcula la media de calorías de los últimos días de una serie, contando solo los días con registros.
+ * @param {object[]} history La serie diaria (ver `buildDailyHistory`).
+ * @param {number} days Cuántos días finales de la serie se promedian.
+ * @returns {number} La media redondeada, o 0 si no hay registros.
+ */
+const averageCalories = (history, days) => summarizeHistory(history.slice(-days)).averageCalories;
+
+/**
+ * Calcula la racha de planificación de un usuario: los días consecutivos con alguna comida no
+ * omitida en el planificador, contando hacia atrás desde hoy, o desde ayer si hoy todavía no hay
+ * nada planificado. Se resuelve en SQL agrupando los días consecutivos (en orden descendente,
+ * la fecha más su posición es la misma en todo el tramo), sin cargar el historial completo.
+ * @param {number} userId El usuario.
+ * @param {Date} today El día de hoy en su zona horaria.
+ * @returns {Promise<number>} El número de días de la racha.
+ */
+const planningStreakFor = async (userId, today) => {
+  const [{ streak }] = await prisma.$queryRaw`
+    WITH planned AS (
+      SELECT d."date"::date AS day,
+             ROW_NUMBER() OVER (ORDER BY d."date" DESC)::int AS position
+      FROM "daily_plans" d
+      WHERE d."userId" = ${userId}
+        AND d."date" <= ${today}
+        AND EXISTS (
+          SELECT 1 FROM "plan_entries" e
+          WHERE e."planId" = d."id" AND e."status" <> 'skipped'
+        )
+    ),
+    latest AS (
+      SELECT day, day + position AS island FROM planned WHERE position = 1
+    )
+    SELECT COUNT(p.day)::int AS streak
+    FROM latest l
+    JOIN planned p ON p.day + p.position = l.island
+    WHERE l.day >= ${today}::date - 1
+  `;
+  return streak;
+};
+
+// Panel de estadísticas del usuario para una ventana `from`/`to` (por defecto los últimos 30 días
+// hasta hoy, en su zona horaria). Reúne:
+// - `today`: lo consumido (cocinado) y lo previsto hoy frente a `calorieGoal`.
+// - `averages`: medias de calorías de los 7 y 30 días que terminan en `to`.
+// - `goal`: días de la ventana por encima, por debajo y dentro del objetivo (±`CALORIE_GOAL_TOLERANCE`).
+// - `mostCookedRecipes`: las recetas más cocinadas en la ventana.
+// - `planningStreak`: días consecutivos, hasta hoy, con alguna comida en el planificador.
+// Igual que el historial, admite `?includePlanned=true` para contar también lo planificado.
+app.get("/api/users/me/stats", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const today = todayFor(req.timeZone);
+  const to = req.query.to !== undefined ? parseDateParam(req.query.to) : today;
+  let from = req.query.from !== undefined ? parseDateParam(req.query.from) : null;
+  if (req.query.from === undefined && to) {
+    from = new Date(to);
+    from.setUTCDate(from.getUTCDate() - (DEFAULT_HISTORY_DAYS - 1));
+  }
+
+  const range = from && to
+    ? parseDayRange({ from: toDateKey(from), to: toDateKey(to) }, DEFAULT_HISTORY_DAYS, MAX_HISTORY_RANGE_DAYS)
+    : parseDayRange(req.query);
+  if (range.errors.length > 0) {
+    return sendValidationError(res, range.errors);
+  }
+  const { days } = range;
+
+  // Las medias de 30 días necesitan datos anteriores a la ventana si esta es más corta.
+  const averagesFrom = new Date(to);
+  averagesFrom.setUTCDate(averagesFrom.getUTCDate() - 29);
+  const seriesDays = eachDay(averagesFrom < from ? averagesFrom : from, to);
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { calorieGoal: true } });
+    const { calorieGoal } = user;
+
+    const [series, todayPlan, topRecipes, planningStreak] = await Promise.all([
+      buildDailyHistory(userId, seriesDays, req.query, calorieGoal),
+      prisma.dailyPlan.findUnique({
+        where: { userId_date: { userId, date: today } },
+        include: planInclude(userId),
+      }),
+      prisma.planEntry.groupBy({
+        by: ['recipeId'],
+        where: {
+          status: 'cooked',
+          plan: { userId, date: { gte: days[0], lte: days[days.length - 1] } },
+          recipe: visibleRecipesWhere(userId),
+        },
+        _count: { _all: true },
+        orderBy: { _count: { recipeId: 'desc' } },
+        take: TOP_RECIPES_LIMIT,
+      }),
+      planningStreakFor(userId, today),
+    ]);
+
+    // Hoy: lo cocinado frente a lo previsto (todo lo que no se ha omitido).
+    const todayTotals = todayPlan ? withPlanTotals(todayPlan) : null;
+    const consumedKcal = todayTotals ? todayTotals.consumedTotals.kcal : 0;
+    const plannedKcal = todayTotals ? todayTotals.totals.kcal : 0;
+
+    // Días de la ventana respecto al objetivo; los días sin registros no cuentan.
+    const fromKey = toDateKey(days[0]);
+    const windowDays = series.filter(day => day.date >= fromKey);
+    const tracked = windowDays.filter(day => day.totalCalories > 0);
+    const overLimit = calorieGoal * (1 + CALORIE_GOAL_TOLERANCE);
+
+    const recipes = await findVisibleRecipesById(prisma, userId, topRecipes.map(row => row.recipeId), {
+      id: true, title: true, image: true, kcal: true, servings: true,
+    });
+    const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+
+    res.status(200).json({
+      from: fromKey,
+      to: toDateKey(to),
+      timezone: req.timeZone,
+      calorieGoal,
+      today: {
+        date: toDateKey(today),
+        consumedKcal,
+        plannedKcal,
+        remainingKcal: calorieGoal - consumedKcal,
+        percentOfGoal: Math.round((consumedKcal / calorieGoal) * 100),
+      },
+      averages: {
+        last7Days: averageCalories(series, 7),
+        last30Days: averageCalories(series, 30),
+      },
+      goal: {
+        tolerance: CALORIE_GOAL_TOLERANCE,
+        trackedDays: tracked.length,
+        daysWithinGoal: tracked.filter(day => day.withinGoal).length,
+        daysOverGoal: tracked.filter(day => day.totalCalories > overLimit).length,
+        daysUnderGoal: tracked.filter(day => !day.withinGoal && day.totalCalories <= overLimit).length,
+        ...goalStreaks(windowDays, toDateKey(today)),
+      },
+      mostCookedRecipes: topRecipes
+        .filter(row => recipesById.has(row.recipeId))
+        .map(row => ({ recipe: recipesById.get(row.recipeId), timesCooked: row._count._all })),
+      planningStreak,
+    });
+  } catch (error) {
+    console.error("Error al obtener las estadísticas:", error);
+    res.status(500).json({ message: "Error al obtener las estadísticas." });
+  }
+});
+
+// Devuelve el historial calórico completo del usuario, rellenando los días sin registros.
+// Igual que el anterior, admite `?includePlanned=true` para contar también las comidas planificadas.
+app.get("/api/users/me/full-calorie-history", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const plans = await prisma.dailyPlan.findMany({
+      where: {
+        userId,
+      },
+      include: {
+        entries: {
+          where: historyEntryFilter(req.query),
+          include: {
+            recipe: {
+              select: RECIPE_NUTRITION_SELECT,
+            },
+          },
+        },
+      },
+      orderBy: {
+        date: 'asc',
+      },
+    });
+
+    // Agrupa las recetas de los planes por fecha de calendario (YYYY-MM-DD).
+    const dailyTotals = new Map();
+    plans.forEach(plan => {
+      const dateKey = plan.date.toISOString().split('T')[0];
+      const recipes = plan.entries.map(entry => scaleNutrition(entry.recipe, entry.servings));
+      dailyTotals.set(dateKey, (dailyTotals.get(dateKey) || []).concat(recipes));
+    });
+
+    if (dailyTotals.size === 0) {
+      return res.status(200).json([]);
+    }
+
+    // Paso 2: Generar una línea de tiempo continua. Se crea un rango de fechas
+    // desde el primer registro del usuario hasta el día de hoy.
+    const sortedDates = Array.from(dailyTotals.keys()).sort();
+    const startDate = new Date(`${sortedDates[0]}T00:00:00Z`);
+    const endDate = todayFor(req.timeZone); // Hoy, en la zona horaria del usuario.
+    const history = [];
+
+    for (let d = new Date(startDate); d <= endDate; d.setUTCDate(d.getUTCDate() + 1)) {
+      const dateKey = d.toISOString().split('T')[0];
+      const { kcal, ...nutrients } = sumNutrition(dailyTotals.get(dateKey) || []);
+      history.push({
+        date: dateKey,
+        totalCalories: kcal,
+        nutrients,
+      });
+    }
+
+    res.status(200).json(history);
+  } catch (error) {
+    console.error("Error al obtener el historial calórico completo:", error);
+    res.status(500).json({ message: "Error al obtener el historial completo." });
+  }
+});
+
+// --- Endpoints de Despensa ---
+
+/**
+ * Normaliza el nombre de un ingrediente para poder comparar y agrupar nombres escritos
+ * de forma distinta ("Tomate " y "tomate").
+ * @param {string} name El nombre del ingrediente.
+ * @returns {string} El nombre sin espacios sobrantes y en minúsculas.
+ */
+const normalizeIngredientName = (name) => name.trim().toLowerCase();
+
+// Días de antelación con los que un ingrediente de la despensa se considera "a punto de caducar".
+const EXPIRING_SOON_DAYS = 3;
+
+// Peso extra que recibe en las recomendaciones cada ingrediente de la receta que caduca pronto.
+const EXPIRING_BOOST = 0.5;
+
+/**
+ * Valida y normaliza un elemento de la despensa enviado por el cliente.
+ * @param {object} body El cuerpo de la petición.
+ * @param {boolean} [partial=false] Si es verdadero (PATCH), solo se validan los campos presentes.
+ * @returns {{errors: string[], data: object}} Los errores encontrados y los campos normalizados.
+ */
+const parsePantryItemInput = (body, partial = false) => {
+  const errors = [];
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push("El nombre del ingrediente es obligatorio.");
+    } else {
+      data.ingredientName = normalizeIngredientName(body.name);
+      data.canonicalId = null; // Se resuelve después con `resolveCanonicalIngredients`.
+    }
+  }
+
+  if (body.quantity !== undefined) {
+    if (body.quantity !== null && (typeof body.quantity !== 'number' || !(body.quantity > 0))) {
+      errors.push("La cantidad debe ser un número positivo.");
+    } else {
+      data.quantity = body.quantity;
+    }
+  }
+
+  if (body.unit !== undefined) {
+    if (body.unit !== null && !INGREDIENT_UNITS.includes(body.unit)) {
+      errors.push(`La unidad debe ser una de: ${INGREDIENT_UNITS.join(', ')}.`);
+    } else {
+      data.unit = body.unit;
+    }
+  }
+
+  if (body.expiresAt !== undefined) {
+    const expiresAt = body.expiresAt === null ? null : parseDateParam(body.expiresAt);
+    if (body.expiresAt !== null && !expiresAt) {
+      errors.push("La fecha de caducidad debe tener el formato YYYY-MM-DD.");
+    } else {
+      data.expiresAt = expiresAt;
+    }
+  }
+
+  return { errors, data };
+};
+
+/**
+ * Busca en la despensa del usuario el elemento que corresponde a un ingrediente: el enlazado con
+ * el mismo ingrediente canónico ("patata" encuentra la "papa") o, si el ingrediente no está en
+ * el catálogo, el que tiene su misma clave normalizada ("nueces" encuentra la "nuez").
+ * @param {object} client El cliente de Prisma o el de una transacción en curso.
+ * @param {number} userId El ID del usuario.
+ * @param {string} ingredientName El nombre del ingrediente.
+ * @param {number|null} canonicalId El ID de su ingrediente canónico, si lo tiene.
+ * @returns {Promise<object|null>} El elemento de la despensa, o null si no está.
+ */
+const findPantryItem = async (client, userId, ingredientName, canonicalId) => {
+  if (canonicalId !== null) {
+    return client.userPantryItem.findUnique({ where: { userId_canonicalId: { userId, canonicalId } } });
+  }
+  const key = normalizeIngredientKey(ingredientName);
+  const unlinked = await client.userPantryItem.findMany({ where: { userId, canonicalId: null } });
+  return unlinked.find(item => normalizeIngredientKey(item.ingredientName) === key) ?? null;
+};
+
+// Obtiene la lista de ingredientes en la despensa del usuario actual.
+app.get("/api/users/me/pantry", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const pantryItems = await prisma.userPantryItem.findMany({
+      where: { userId },
+      select: { ingredientName: true },
+      orderBy: { ingredientName: 'asc' },
+    });
+    res.status(200).json(pantryItems.map(item => item.ingredientName));
+  } catch (error) {
+    console.error("Error al obtener la despensa:", error);
+    res.status(500).json({ message: "Error al obtener la despensa." });
+  }
+});
+
+// Sincroniza la despensa del usuario con la lista de nombres proporcionada.
+// Solo se eliminan los ingredientes que ya no aparecen y se crean los nuevos, de modo que
+// los existentes conservan su cantidad y su fecha de caducidad. Los nombres se comparan como
+// ingredientes ("tomates" y "Tomate", o "patata" y "papa", son el mismo).
+app.put("/api/users/me/pantry", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  const { ingredients } = req.body;
+  if (!Array.isArray(ingredients) || ingredients.some(name => typeof name !== 'string' || !name.trim())) {
+    return sendValidationError(res, ["Se esperaba un array de ingredientes."]);
+  }
+
+  try {
+    const canonicals = await resolveCanonicalIngredients(ingredients, prisma);
+    const wanted = new Map();
+    for (const name of ingredients) {
+      const canonical = canonicals.get(normalizeIngredientKey(name));
+      const key = ingredientKey(name, canonical);
+      if (!wanted.has(key)) {
+        wanted.set(key, { userId, ingredientName: normalizeIngredientName(name), canonicalId: canonical?.id ?? null });
+      }
+    }
+
+    const current = await prisma.userPantryItem.findMany({
+      where: { userId },
+      select: { id: true, ingredientName: true, canonical: { select: { name: true } } },
+    });
+    const staleIds = [];
+    for (const item of current) {
+      const key = ingredientKey(item.ingredientName, item.canonical);
+      if (wanted.has(key)) {
+        wanted.delete(key);
+      } else {
+        staleIds.push(item.id);
+      }
+    }
+
+    // Se utiliza una transacción de Prisma para garantizar la atomicidad de la operación:
+    // o se completan ambas acciones (borrar y crear), o no se realiza ninguna.
+    // Esto previene estados inconsistentes en la base de datos.
+    await prisma.$transaction([
+      // Acción 1: Borrar los ingredientes que ya no forman parte de la despensa.
+      prisma.userPantryItem.deleteMany({
+        where: { userId, id: { in: staleIds } },
+      }),
+      // Acción 2: Crear los ingredientes nuevos; los que ya existen se mantienen intactos.
+      prisma.userPantryItem.createMany({
+        data: [...wanted.values()],
+        skipDuplicates: true,
+      }),
+    ]);
+
+    res.status(204).send(); // 204 No Content, la operación fue exitosa.
+  } catch (error) {
+    console.error("Error al actualizar la despensa:", error);
+    res.status(500).json({ message: "Error al actualizar la despensa." });
+  }
+});
+
+// Obtiene los elementos de la despensa con su cantidad, unidad y fecha de caducidad.
+app.get("/api/users/me/pantry/items", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const pantryItems = await prisma.userPantryItem.findMany({
+      where: { userId },
+      orderBy: { ingredientName: 'asc' },
+    });
+    res.status(200).json(pantryItems);
+  } catch (error) {
+    console.error("Error al obtener la despensa:", error);
+    res.status(500).json({ message: "Error al obtener la despensa." });
+  }
+});
+
+// Obtiene los elementos de la despensa que caducan en los próximos `days` días
+// (por defecto, `EXPIRING_SOON_DAYS`), incluidos los ya caducados, del más urgente al menos.
+app.get("/api/users/me/pantry/expiring", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const days = req.query.days !== undefined ? Number(req.query.days) : EXPIRING_SOON_DAYS;
+
+  if (!Number.isInteger(days) || days < 0) {
+    return sendValidationError(res, ["El parámetro 'days' debe ser un número entero no negativo."]);
+  }
+
+  try {
+    const pantryItems = await prisma.userPantryItem.findMany({
+      where: {
+        userId,
+        expiresAt: { lte: daysFromToday(days, req.timeZone) },
+      },
+      orderBy: { expiresAt: 'asc' },
+    });
+    res.status(200).json(pantryItems);
+  } catch (error) {
+    console.error("Error al obtener los ingredientes por caducar:", error);
+    res.status(500).json({ message: "Error al obtener los ingredientes por caducar." });
+  }
+});
+
+// Añade un ingrediente a la despensa.
+app.post("/api/users/me/pantry/items", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const { errors, data } = parsePantryItemInput(req.body);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos del ingrediente inválidos.");
+  }
+
+  try {
+    const canonicals = await resolveCanonicalIngredients([data.ingredientName], prisma);
+    data.canonicalId = canonicals.get(normalizeIngredientKey(data.ingredientName))?.id ?? null;
+    if (await findPantryItem(prisma, userId, data.ingredientName, data.canonicalId)) {
+      return res.status(409).json({ message: "El ingrediente ya está en la despensa." });
+    }
+
+    const pantryItem = await prisma.userPantryItem.create({
+      data: { ...data, userId },
+    });
+    res.status(201).json(pantryItem);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: "El ingrediente ya está en la despensa." });
+    }
+    console.error("Error al añadir el ingrediente:", error);
+    res.status(500).json({ message: "Error al añadir el ingrediente." });
+  }
+});
+
+// Actualiza un ingrediente de la despensa (nombre, cantidad, unidad o caducidad).
+app.patch("/api/users/me/pantry/items/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const itemId = parseInt(req.params.id, 10);
+  const { errors, data } = parsePantryItemInput(req.body, true);
+
+  if (!Number.isInteger(itemId)) {
+    return res.status(404).json({ message: "Ingrediente no encontrado en la despensa." });
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, "Datos del ingrediente inválidos.");
+  }
+
+  try {
+    if (data.ingredientName) {
+      const canonicals = await resolveCanonicalIngredients([data.ingredientName], prisma);
+      data.canonicalId = canonicals.get(normalizeIngredientKey(data.ingredientName))?.id ?? null;
+      const duplicate = await findPantryItem(prisma, userId, data.ingredientName, data.canonicalId);
+      if (duplicate && duplicate.id !== itemId) {
+        return res.status(409).json({ message: "El ingrediente ya está en la despensa." });
+      }
+    }
+
+    const { count } = await prisma.userPantryItem.updateMany({
+      where: { id: itemId, userId },
+      data,
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Ingrediente no encontrado en la despensa." });
+    }
+    const pantryItem = await prisma.userPantryItem.findUnique({ where: { id: itemId } });
+    res.status(200).json(pantryItem);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: "El ingrediente ya está en la despensa." });
+    }
+    console.error("Error al actualizar el ingrediente:", error);
+    res.status(500).json({ message: "Error al actualizar el ingrediente." });
+  }
+});
+
+// Elimina un ingrediente de la despensa.
+app.delete("/api/users/me/pantry/items/:id", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const itemId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(itemId)) {
+    return res.status(404).json({ message: "Ingrediente no encontrado en la despensa." });
+  }
+
+  try {
+    const { count } = await prisma.userPantryItem.deleteMany({
+      where: { id: itemId, userId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Ingrediente no encontrado en la despensa." });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al eliminar el ingrediente:", error);
+    res.status(500).json({ message: "Error al eliminar el ingrediente." });
+  }
+});
+
+// --- Lista de la compra ---
+
+// Genera la lista de la compra de un rango de días (`from` y `to`, por defecto los 7 días
+// a partir de hoy): reúne los ingredientes de todas las recetas planificadas, escalados a las
+// porciones de cada entrada, agrupa los repetidos sumando sus cantidades por unidad y descuenta
+// lo que ya hay en la despensa. Cada elemento indica si ya se marcó como comprado para una lista
+// que sigue vigente en `from` (ver `POST /api/users/me/shopping-list/checks`).
+app.get("/api/users/me/shopping-list", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const { errors, days } = parseDayRange({ from: toDateKey(todayFor(req.timeZone)), ...req.query }, 7);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    const [plans, pantryItems, checks] = await Promise.all([
+      prisma.dailyPlan.findMany({
+        where: {
+          userId,
+          date: { gte: days[0], lte: days[days.length - 1] },
+        },
+        include: {
+          entries: {
+            where: { status: 'planned' }, // Lo ya cocinado u omitido no necesita comprarse.
+            include: {
+              recipe: {
+                select: {
+                  id: true,
+                  title: true,
+                  servings: true,
+                  ingredients: { include: { canonical: { select: { name: true } } } },
+                },
+              },
+            },
+          },
+        },
+      }),
+      prisma.userPantryItem.findMany({
+        where: { userId },
+        select: { ingredientName: true, quantity: true, unit: true, canonical: { select: { name: true } } },
+      }),
+      prisma.shoppingListCheck.findMany({
+        where: { userId, expiresAt: { gte: days[0] } },
+        select: { name: true },
+      }),
+    ]);
+
+    const pantryByName = new Map(pantryItems.map(item => [ingredientKey(item.ingredientName, item.canonical), item]));
+    const checkedSet = new Set(checks.map(check => check.name));
+    const items = new Map();
+    const coveredByPantry = new Set();
+
+    for (const entry of plans.flatMap(plan => plan.entries)) {
+      const factor = entry.servings / entry.recipe.servings;
+      for (const ingredient of entry.recipe.ingredients) {
+        const key = ingredientKey(ingredient.name, ingredient.canonical);
+        if (!items.has(key)) {
+          const name = ingredient.canonical?.name ?? normalizeIngredientName(ingredient.name);
+          items.set(key, { name, quantities: new Map(), recipes: new Set() });
+        }
+        const item = items.get(key);
+        item.recipes.add(entry.recipe.title);
+        if (ingredient.quantity !== null) {
+          const unit = ingredient.unit || null;
+          item.quantities.set(unit, (item.quantities.get(unit) || 0) + ingredient.quantity * factor);
+        }
+      }
+    }
+
+    // Se descuenta la despensa. Un ingrediente sin cantidad registrada se considera suficiente;
+    // si tiene cantidad, se resta de la cantidad necesaria en la misma unidad y el ingrediente
+    // solo desaparece de la lista cuando no queda nada por comprar.
+    for (const [key, item] of items) {
+      const pantryItem = pantryByName.get(key);
+      if (!pantryItem) {
+        continue;
+      }
+      if (pantryItem.quantity !== null && item.quantities.has(pantryItem.unit)) {
+        const remaining = item.quantities.get(pantryItem.unit) - pantryItem.quantity;
+        if (remaining > 0) {
+          item.quantities.set(pantryItem.unit, remaining);
+          continue;
+        }
+        item.quantities.delete(pantryItem.unit);
+        if (item.quantities.size > 0) {
+          continue;
+        }
+      } else if (pantryItem.quantity !== null && item.quantities.size > 0) {
+        // Cantidades en unidades distintas: no se pueden comparar, se mantiene en la lista.
+        continue;
+      }
+      items.delete(key);
+      coveredByPantry.add(item.name);
+    }
+
+    res.status(200).json({
+      from: toDateKey(days[0]),
+      to: toDateKey(days[days.length - 1]),
+      items: [...items]
+        .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+        .map(([key, item]) => ({
+          name: item.name,
+          quantities: [...item.quantities].map(([unit, quantity]) => ({ quantity: roundQuantity(quantity), unit })),
+          recipes: [...item.recipes],
+          checked: checkedSet.has(key),
+        })),
+      coveredByPantry: [...coveredByPantry].sort(),
+    });
+  } catch (error) {
+    console.error("Error al generar la lista de la compra:", error);
+    res.status(500).json({ message: "Error al generar la lista de la compra." });
+  }
+});
+
+// Marca un ingrediente de la lista de la compra como comprado. La marca se guarda con la clave
+// normalizada del ingrediente canónico, así que "Patatas" marca también la "papa" de la lista.
+// La marca vale hasta `to`, el último día de la lista en la que se marcó (YYYY-MM-DD; por defecto,
+// el de la lista de 7 días que empieza hoy), así que no se arrastra a las listas siguientes.
+// Con `addToPantry: true` además se añade a la despensa, por lo que deja de aparecer en la lista.
+app.post("/api/users/me/shopping-list/checks", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const { name, addToPantry = false } = req.body;
+  const expiresAt = req.body.to !== undefined ? parseDateParam(req.body.to) : daysFromToday(6, req.timeZone);
+  const errors = [];
+
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push("El nombre del ingrediente es obligatorio.");
+  }
+  if (!expiresAt || expiresAt < todayFor(req.timeZone)) {
+    errors.push("El parámetro 'to' debe ser una fecha YYYY-MM-DD a partir de hoy.");
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  const normalized = normalizeIngredientName(name);
+
+  try {
+    const canonicals = await resolveCanonicalIngredients([normalized], prisma);
+    const canonical = canonicals.get(normalizeIngredientKey(normalized));
+    const key = ingredientKey(normalized, canonical);
+
+    const operations = [
+      prisma.shoppingListCheck.upsert({
+        where: { userId_name: { userId, name: key } },
+        update: { checkedAt: new Date(), expiresAt },
+        create: { userId, name: key, expiresAt },
+      }),
+      // Las marcas de listas ya pasadas no vuelven a usarse.
+      prisma.shoppingListCheck.deleteMany({ where: { userId, expiresAt: { lt: todayFor(req.timeZone) } } }),
+    ];
+    const canonicalId = canonical?.id ?? null;
+    if (addToPantry && !(await findPantryItem(prisma, userId, normalized, canonicalId))) {
+      operations.push(prisma.userPantryItem.upsert({
+        where: canonicalId !== null
+          ? { userId_canonicalId: { userId, canonicalId } }
+          : { userId_ingredientName: { userId, ingredientName: normalized } },
+        update: {},
+        create: { userId, ingredientName: normalized, canonicalId },
+      }));
+    }
+
+    const [check] = await prisma.$transaction(operations);
+    res.status(201).json({ ...check, addedToPantry: Boolean(addToPantry) });
+  } catch (error) {
+    console.error("Error al marcar el ingrediente:", error);
+    res.status(500).json({ message: "Error al marcar el ingrediente." });
+  }
+});
+
+// Desmarca un ingrediente de la lista de la compra. Igual que al marcarlo, el nombre se resuelve
+// con el catálogo, así que "patata" desmarca la "papa".
+app.delete("/api/users/me/shopping-list/checks/:name", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const { name } = req.params;
+
+  try {
+    const canonicals = await resolveCanonicalIngredients([name], prisma);
+    await prisma.shoppingListCheck.deleteMany({
+      where: { userId, name: ingredientKey(name, canonicals.get(normalizeIngredientKey(name))) },
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al desmarcar el ingrediente:", error);
+    res.status(500).json({ message: "Error al desmarcar el ingrediente." });
+  }
+});
+
+// Desmarca todos los ingredientes, por ejemplo al empezar una nueva compra.
+app.delete("/api/users/me/shopping-list/checks", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    await prisma.shoppingListCheck.deleteMany({ where: { userId } });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al reiniciar la lista de la compra:", error);
+    res.status(500).json({ message: "Error al reiniciar la lista de la compra." });
+  }
+});
+
+
+// --- Imágenes ---
+
+// Tipos de imagen aceptados en las subidas y tamaño máximo de cada archivo.
+const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Tamaños (en píxeles) de la imagen principal y de la miniatura de cada tipo de subida.
+// Las imágenes se guardan siempre en WebP; la principal se reduce sin recortar y la miniatura
+// se recorta al cuadrado.
+const IMAGE_VARIANTS = {
+  recipe: { full: 1600, thumbnail: 400 },
+  avatar: { full: 512, thumbnail: 128 },
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    callback(null, IMAGE_MIME_TYPES.includes(file.mimetype));
+  },
+});
+
+/**
+ * Middleware que recibe un único archivo de imagen en el campo indicado de un formulario
+ * `multipart/form-data` y responde con un error de validación si falta, no es de un tipo
+ * aceptado o supera el tamaño máximo.
+ * @param {string} field El nombre del campo del formulario.
+ * @returns {import("express").RequestHandler} El middleware.
+ */
+const receiveImage = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return sendValidationError(res, [`La imagen no puede superar los ${MAX_IMAGE_BYTES / (1024 * 1024)} MB.`]);
+    }
+    if (error) {
+      return sendValidationError(res, [`Se esperaba un único archivo en el campo '${field}'.`]);
+    }
+    if (!req.file) {
+      return sendValidationError(res, [`Se requiere una imagen (${IMAGE_MIME_TYPES.join(', ')}) en el campo '${field}'.`]);
+    }
+    next();
+  });
+};
+
+/**
+ * Devuelve la clave de la miniatura de una imagen guardada.
+ * @param {string} key La clave de la imagen principal.
+ * @returns {string} La clave de su miniatura.
+ */
+const thumbnailKey = (key) => key.replace(/\.webp$/, '-thumb.webp');
+
+/**
+ * Procesa una imagen subida (corrige la orientación, la reduce y genera su miniatura) y guarda
+ * ambas versiones en el almacenamiento. El contenido se decodifica con sharp, así que un archivo
+ * que solo finge ser una imagen se rechaza aunque su tipo MIME sea válido.
+ * @param {Buffer} buffer El contenido del archivo.
+ * @param {string} folder La carpeta lógica, por ejemplo `recipes/12`.
+ * @param {{full: number, thumbnail: number}} sizes Los tamaños de `IMAGE_VARIANTS`.
+ * @returns {Promise<{key: string, url: string, thumbnailUrl: string}|null>} La imagen guardada,
+ *   o null si el contenido no es una imagen válida.
+ */
+const storeImage = async (buffer, folder, sizes) => {
+  let full;
+  let thumbnail;
+  try {
+    const image = sharp(buffer).rotate();
+    [full, thumbnail] = await Promise.all([
+      image.clone().resize(sizes.full, sizes.full, { fit: 'inside', withoutEnlargement: true }).webp().toBuffer(),
+      image.clone().resize(sizes.thumbnail, sizes.thumbnail, { fit: 'cover' }).webp().toBuffer(),
+    ]);
+  } catch {
+    return null;
+  }
+
+  // Cada subida recibe un nombre nuevo: la URL de un archivo nunca cambia de contenido y puede
+  // cachearse indefinidamente.
+  const key = `${folder}/${crypto.randomBytes(12).toString("hex")}.webp`;
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.save(key, full, 'image/webp'),
+    storage.save(thumbnailKey(key), thumbnail, 'image/webp'),
+  ]);
+  return { key, url, thumbnailUrl };
+};
+
+/**
+ * Elimina del almacenamiento una imagen y su miniatura. Los errores solo se registran: un
+ * archivo huérfano no debe impedir la operación que lo dejó de usar.
+ * @param {string|null} key La clave de la imagen principal.
+ * @returns {Promise<void>}
+ */
+const removeImage = async (key) => {
+  if (!key) {
+    return;
+  }
+  try {
+    await Promise.all([storage.remove(key), storage.remove(thumbnailKey(key))]);
+  } catch (error) {
+    console.error(`Error al eliminar la imagen ${key}:`, error);
+  }
+};
+
+// Sube la foto de una receta (campo `image` de un formulario multipart). Solo el autor puede
+// cambiarla. La foto anterior, si se subió al servidor, se elimina. La receta devuelta incluye
+// la URL de la imagen (`image`) y la de su miniatura (`imageThumbnail`).
+app.post("/api/recipes/:id/image", requireAuth, receiveImage('image'), async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseInt(req.params.id, 10);
+
+  try {
+    const current = await ensureRecipeAuthor(recipeId, userId, res);
+    if (!current) {
+      return;
+    }
+
+    const stored = await storeImage(req.file.buffer, `recipes/${recipeId}`, IMAGE_VARIANTS.recipe);
+    if (!stored) {
+      return sendValidationError(res, ["El archivo no es una imagen válida."]);
+    }
+
+    const recipe = await prisma.recipe.update({
+      where: { id: recipeId },
+      data: { image: stored.url, imageThumbnail: stored.thumbnailUrl, imageKey: stored.key },
+      include: RECIPE_INCLUDE,
+    });
+    await removeImage(current.imageKey);
+    res.status(200).json(recipe);
+  } catch (error) {
+    console.error("Error al subir la imagen de la receta:", error);
+    res.status(500).json({ message: "Error al subir la imagen." });
+  }
+});
+
+// Elimina la foto de una receta.
+app.delete("/api/recipes/:id/image", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const recipeId = parseInt(req.params.id, 10);
+
+  try {
+    const current = await ensureRecipeAuthor(recipeId, userId, res);
+    if (!current) {
+      return;
+    }
+
+    await prisma.recipe.update({
+      where: { id: recipeId },
+      data: { image: null, imageThumbnail: null, imageKey: null },
+    });
+    await removeImage(current.imageKey);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al eliminar la imagen de la receta:", error);
+    res.status(500).json({ message: "Error al eliminar la imagen." });
+  }
+});
+
+// Sube el avatar del usuario (campo `avatar` de un formulario multipart) y elimina el anterior.
+app.post("/api/users/me/avatar", requireAuth, receiveImage('avatar'), async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const stored = await storeImage(req.file.buffer, `avatars/${userId}`, IMAGE_VARIANTS.avatar);
+    if (!stored) {
+      return sendValidationError(res, ["El archivo no es una imagen válida."]);
+    }
+
+    const current = await prisma.user.findUnique({ where: { id: userId }, select: { avatarKey: true } });
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { avatar: stored.url, avatarThumbnail: stored.thumbnailUrl, avatarKey: stored.key },
+    });
+    await removeImage(current.avatarKey);
+
+    const userToReturn = { ...user };
+    delete userToReturn.password;
+    delete userToReturn.calendarTokenHash;
+    res.status(200).json(userToReturn);
+  } catch (error) {
+    console.error("Error al subir el avatar:", error);
+    res.status(500).json({ message: "Error al subir el avatar." });
+  }
+});
+
+// Elimina el avatar del usuario.
+app.delete("/api/users/me/avatar", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const current = await prisma.user.findUnique({ where: { id: userId }, select: { avatarKey: true } });
+    await prisma.user.update({
+      where: { id: userId },
+      data: { avatar: null, avatarThumbnail: null, avatarKey: null },
+    });
+    await removeImage(current.avatarKey);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al eliminar el avatar:", error);
+    res.status(500).json({ message: "Error al eliminar el avatar." });
+  }
+});
+
+// --- Exportación de datos ---
+
+// Formatos de `GET /api/users/me/export`.
+const EXPORT_FORMATS = ["json", "csv", "ics"];
+
+// Registros que se leen de la base de datos en cada lote al exportar.
+const EXPORT_BATCH_SIZE = 200;
+
+// Nombre de cada franja en los eventos del calendario.
+const MEAL_SLOT_LABELS = {
+  breakfast: "Desayuno",
+  lunch: "Almuerzo",
+  dinner: "Cena",
+  snack: "Merienda",
+};
+
+/**
+ * Recorre un modelo de Prisma por lotes de `EXPORT_BATCH_SIZE` registros usando un cursor
+ * sobre el `id`, para no cargar en memoria todos los registros de una exportación grande.
+ * @param {object} delegate El modelo de Prisma (por ejemplo, `prisma.recipe`).
+ * @param {object} args Los argumentos de `findMany` (`where`, `include`, `orderBy`...).
+ * @returns {AsyncGenerator<object[]>} Los lotes de registros, en orden.
+ */
+const findInBatches = async function* (delegate, args) {
+  let cursor = null;
+  while (true) {
+    const batch = await delegate.findMany({
+      ...args,
+      orderBy: [...[].concat(args.orderBy || []), { id: 'asc' }],
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (batch.length > 0) {
+      yield batch;
+    }
+    if (batch.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    cursor = batch[batch.length - 1].id;
+  }
+};
+
+/**
+ * Escribe un fragmento en la respuesta respetando la contrapresión: si el búfer del socket
+ * está lleno, espera al evento `drain` antes de continuar. Falla si la conexión ya se cerró o
+ * se cierra mientras espera; en ambos casos no quedan escuchas registradas en la respuesta.
+ * @param {import("express").Response} res La respuesta.
+ * @param {string} chunk El texto a escribir.
+ * @returns {Promise<void>}
+ */
+const writeChunk = (res, chunk) => {
+  if (res.destroyed || res.writableEnded) {
+    return Promise.reject(new Error("La conexión se cerró durante la exportación."));
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error("La conexión se cerró durante la exportación."));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+};
+
+/**
+ * Escribe en la respuesta una lista JSON a partir de lotes de registros, sin construirla entera.
+ * @param {import("express").Response} res La respuesta.
+ * @param {AsyncGenerator<object[]>} batches Los lotes (ver `findInBatches`).
+ * @param {function(object): object} [map] Transformación opcional de cada registro.
+ * @returns {Promise<void>}
+ */
+const writeJsonArray = async (res, batches, map = (item) => item) => {
+  let first = true;
+  await writeChunk(res, '[');
+  for await (const batch of batches) {
+    const chunk = batch.map(item => JSON.stringify(map(item))).join(',');
+    await writeChunk(res, (first ? '' : ',') + chunk);
+    first = false;
+  }
+  await writeChunk(res, ']');
+};
+
+/**
+ * Construye el evento de iCalendar de una entrada del planificador: un evento de día completo
+ * con la franja y el título de la receta.
+ * @param {object} entry La entrada, con `recipe` incluida.
+ * @param {Date} date El día del plan.
+ * @param {string} stamp La marca de tiempo `DTSTAMP` en formato UTC de iCalendar.
+ * @returns {string} Las líneas del evento.
+ */
+const planEntryToIcsEvent = (entry, date, stamp) => {
+  const day = toDateKey(date).replace(/-/g, '');
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + 1);
+  const label = MEAL_SLOT_LABELS[entry.mealSlot];
+  const summary = label ? `${label}: ${entry.recipe.title}` : entry.recipe.title;
+  const description = `${entry.servings} porción(es) · ${scaleNutrition(entry.recipe, entry.servings).kcal} kcal`;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:plan-entry-${entry.id}@recetario`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${day}`,
+    `DTEND;VALUE=DATE:${toDateKey(next).replace(/-/g, '')}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ].map(foldIcsLine).join('');
+};
+
+/**
+ * Escribe en la respuesta el calendario iCalendar con las comidas del planificador de un
+ * usuario (todas salvo las omitidas), leyendo los planes por lotes.
+ * @param {import("express").Response} res La respuesta.
+ * @param {number} userId El usuario.
+ * @returns {Promise<void>}
+ */
+const streamPlannerCalendar = async (res, userId) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  await writeChunk(res, [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Recetario//Planificador//ES',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Recetario - Comidas planificadas',
+  ].map(foldIcsLine).join(''));
+
+  const batches = findInBatches(prisma.dailyPlan, {
+    where: { userId },
+    include: {
+      entries: {
+        where: { status: { not: 'skipped' }, recipe: visibleRecipesWhere(userId) },
+        include: { recipe: { select: { title: true, ...RECIPE_NUTRITION_SELECT } } },
+        orderBy: { id: 'asc' },
+      },
+    },
+    orderBy: { date: 'asc' },
+  });
+  for await (const plans of batches) {
+    await writeChunk(res, plans
+      .flatMap(plan => plan.entries.map(entry => planEntryToIcsEvent(entry, plan.date, stamp)))
+      .join(''));
+  }
+
+  await writeChunk(res, foldIcsLine('END:VCALENDAR'));
+  res.end();
+};
+
+// Exporta los datos del usuario. El formato se elige con `?format=`:
+// - `json` (por defecto): archivo completo con el perfil (sin contraseña), las recetas propias
+//   con ingredientes y pasos, la despensa, todos los planes diarios con sus entradas y las
+//   valoraciones y recetas favoritas del usuario.
+// - `csv`: historial calórico, un día por fila; admite `?includePlanned=true` como el historial.
+// - `ics`: calendario con las comidas planificadas. Para suscribirse desde una aplicación de
+//   calendario, que no puede enviar el token de acceso, se usa `POST /api/users/me/calendar-token`.
+// La respuesta se envía por partes a medida que se leen los datos, sin construirla en memoria.
+app.get("/api/users/me/export", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const format = req.query.format || 'json';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return sendValidationError(res, [`El parámetro 'format' debe ser uno de: ${EXPORT_FORMATS.join(', ')}.`]);
+  }
+
+  const stamp = toDateKey(todayFor(req.timeZone));
+  res.setHeader('Content-Disposition', `attachment; filename="recetario-${stamp}.${format}"`);
+
+  try {
+    if (format === 'ics') {
+      return await streamPlannerCalendar(res, userId);
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await writeChunk(res, ['date', 'totalCalories', ...NUTRIENT_FIELDS].join(',') + '\n');
+
+      const filter = historyEntryFilter(req.query);
+      const batches = findInBatches(prisma.dailyPlan, {
+        where: { userId, entries: { some: filter } },
+        include: {
+          entries: { where: filter, include: { recipe: { select: RECIPE_NUTRITION_SELECT } } },
+        },
+        orderBy: { date: 'asc' },
+      });
+      for await (const plans of batches) {
+        await writeChunk(res, plans.map(plan => {
+          const totals = sumNutrition(plan.entries.map(entry => scaleNutrition(entry.recipe, entry.servings)));
+          return [toDateKey(plan.date), totals.kcal, ...NUTRIENT_FIELDS.map(field => totals[field])].join(',');
+        }).join('\n') + '\n');
+      }
+      return res.end();
+    }
+
+    const profile = await prisma.user.findUnique({ where: { id: userId } });
+    delete profile.password;
+    delete profile.calendarTokenHash;
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    await writeChunk(res, `{"exportedAt":${JSON.stringify(new Date())},"profile":${JSON.stringify(profile)},"recipes":`);
+    await writeJsonArray(res, findInBatches(prisma.recipe, {
+      where: { authorId: userId },
+      include: RECIPE_INCLUDE,
+    }));
+    await writeChunk(res, ',"pantry":');
+    await writeJsonArray(res, findInBatches(prisma.userPantryItem, {
+      where: { userId },
+      orderBy: { ingredientName: 'asc' },
+    }));
+    await writeChunk(res, ',"plans":');
+    await writeJsonArray(res, findInBatches(prisma.dailyPlan, {
+      where: { userId },
+      include: {
+        entries: {
+          where: { recipe: visibleRecipesWhere(userId) },
+          include: { recipe: { select: { id: true, title: true } } },
+          orderBy: { id: 'asc' },
+        },
+      },
+      orderBy: { date: 'asc' },
+    }), plan => ({ ...plan, date: toDateKey(plan.date) }));
+    await writeChunk(res, ',"ratings":');
+    await writeJsonArray(res, findInBatches(prisma.recipeRating, {
+      where: { userId, recipe: visibleRecipesWhere(userId) },
+      include: { recipe: { select: { id: true, title: true } } },
+    }));
+    await writeChunk(res, ',"favorites":');
+    await writeJsonArray(res, findInBatches(prisma.favoriteRecipe, {
+      where: { userId, recipe: visibleRecipesWhere(userId) },
+      include: { recipe: { select: { id: true, title: true } } },
+    }));
+    await writeChunk(res, '}');
+    res.end();
+  } catch (error) {
+    console.error("Error al exportar los datos:", error);
+    // Si ya se envió parte del archivo no se puede responder con un error: se corta la conexión
+    // para que el cliente no lo dé por completo.
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ message: "Error al exportar los datos." });
+  }
+});
+
+// Genera (o regenera) el enlace privado del calendario de comidas planificadas, para suscribirse
+// desde una aplicación de calendario. Solo se guarda el hash del token, así que el enlace se
+// muestra una única vez; generar uno nuevo invalida el anterior.
+app.post("/api/users/me/calendar-token", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  try {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { calendarTokenHash: hashToken(token) },
+    });
+    res.status(201).json({ url: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics` });
+  } catch (error) {
+    console.error("Error al generar el enlace del calendario:", error);
+    res.status(500).json({ message: "Error al generar el enlace del calendario." });
+  }
+});
+
+// Revoca el enlace del calendario: las suscripciones existentes dejan de actualizarse.
+app.delete("/api/users/me/calendar-token", requireAuth, async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { calendarTokenHash: null },
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al revocar el enlace del calendario:", error);
+    res.status(500).json({ message: "Error al revocar el enlace del calendario." });
+  }
+});
+
+// Feed iCalendar de las comidas planificadas, para suscribirse desde una aplicación de calendario.
+// No usa `requireAuth`: el token del enlace (ver `POST /api/users/me/calendar-token`) identifica al usuario.
+app.get("/api/calendar/:token", async (req, res) => {
+  const token = req.params.token.replace(/\.ics$/, '');
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { calendarTokenHash: hashToken(token) },
+      select: { id: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "Calendario no encontrado." });
+    }
+
+    await streamPlannerCalendar(res, user.id);
+  } catch (error) {
+    console.error("Error al generar el calendario:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: "Error al generar el calendario." });
+  }
+});
 
 // --- Endpoint de Depuración Temporal ---
 // Para obtener todos los nombres de ingredientes únicos en la BD.
 app.get("/api/debug/all-ingredients", async (req, res) => {
   try {
     const ingredients = await prisma.ingredient.findMany({
+      where: { recipe: { visibility: 'public' } },
       distinct: ['name'],
       select: {
         name: true,
@@ -727,13 +4829,14 @@ app.get("/api/debug/all-ingredients", async (req, res) => {
 app.get("/api/debug/search", async (req, res) => {
   const { ingredient } = req.query;
   if (!ingredient) {
-    return res.status(400).json({ message: "El parámetro 'ingredient' es requerido." });
+    return sendValidationError(res, ["El parámetro 'ingredient' es requerido."]);
   }
 
   try {
     console.log(`DEBUG: Buscando ingrediente: "${ingredient}"`);
     const recipes = await prisma.recipe.findMany({
       where: {
+        visibility: 'public',
         ingredients: {
           some: {
             name: {
@@ -0,0 +1,68 @@
+/**
+ * Almacenamiento de los archivos subidos por los usuarios (fotos de recetas y avatares).
+ * Cada backend expone la misma interfaz, de modo que el servidor no depende de dónde se guardan:
+ * - `save(key, buffer, contentType)`: guarda el archivo y devuelve su URL pública.
+ * - `remove(key)`: elimina el archivo; no falla si ya no existe.
+ * - `url(key)`: devuelve la URL pública y estable del archivo.
+ * El backend se elige con la variable de entorno `STORAGE_DRIVER` (por defecto `local`).
+ */
+
+import { mkdir, rm, writeFile } from "fs/promises";
+import path from "path";
+
+/**
+ * Backend que guarda los archivos en el disco local. El servidor los sirve como estáticos en
+ * `publicUrl`, así que las URL no cambian mientras no cambie la clave del archivo.
+ * @param {object} options
+ * @param {string} options.root La carpeta donde se guardan los archivos.
+ * @param {string} options.publicUrl La URL base con la que se sirven (por ejemplo, `/uploads`).
+ * @returns {object} El backend de almacenamiento.
+ */
+export const createLocalStorage = ({ root, publicUrl }) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    // Las claves las genera el servidor, pero se comprueba igualmente que no salgan de `root`.
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Clave de archivo no válida: ${key}`);
+    }
+    return filePath;
+  };
+  const url = (key) => `${publicUrl.replace(/\/$/, "")}/${key}`;
+
+  return {
+    root,
+    publicUrl,
+    url,
+    save: async (key, buffer) => {
+      const filePath = resolve(key);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, buffer);
+      return url(key);
+    },
+    remove: async (key) => {
+      await rm(resolve(key), { force: true });
+    },
+  };
+};
+
+// Backends disponibles. Para añadir otro (por ejemplo, un bucket S3), basta con registrar aquí
+// una función que reciba la configuración y devuelva un objeto con la misma interfaz.
+const STORAGE_DRIVERS = {
+  local: (env) => createLocalStorage({
+    root: env.UPLOADS_DIR || path.resolve("uploads"),
+    publicUrl: env.UPLOADS_PUBLIC_URL || "/uploads",
+  }),
+};
+
+/**
+ * Crea el backend de almacenamiento configurado en las variables de entorno.
+ * @param {object} [env=process.env] Las variables de entorno.
+ * @returns {object} El backend de almacenamiento.
+ */
+export const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || "local";
+  if (!STORAGE_DRIVERS[driver]) {
+    throw new Error(`STORAGE_DRIVER desconocido: ${driver}. Opciones: ${Object.keys(STORAGE_DRIVERS).join(", ")}.`);
+  }
+  return { driver, ...STORAGE_DRIVERS[driver](env) };
+};
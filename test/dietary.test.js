@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deriveDietaryTags } from "../dietary.js";
+
+const tagsOf = (...names) => deriveDietaryTags(names.map(name => ({ name })));
+
+test("deriveDietaryTags detecta los alérgenos de los ingredientes", () => {
+  assert.deepEqual(tagsOf("Harina de trigo", "Huevos", "Mantequilla").allergens, ["gluten", "dairy", "egg"]);
+  assert.deepEqual(tagsOf("Salsa de soja", "Semillas de sésamo").allergens, ["gluten", "soy", "sesame"]);
+  assert.deepEqual(tagsOf("Langostinos", "Nueces").allergens, ["shellfish", "tree-nuts"]);
+});
+
+test("deriveDietaryTags etiqueta como lácteos la leche sin lactosa y la crema", () => {
+  assert.deepEqual(tagsOf("leche sin lactosa").allergens, ["dairy"]);
+  assert.deepEqual(tagsOf("Crema de leche").allergens, ["dairy"]);
+});
+
+test("deriveDietaryTags no confunde las bebidas vegetales ni las cremas de frutos secos", () => {
+  assert.deepEqual(tagsOf("Leche de almendra").allergens, ["tree-nuts"]);
+  assert.deepEqual(tagsOf("leche de avena").allergens, ["gluten"]);
+  assert.deepEqual(tagsOf("Crema de cacahuete").allergens, ["peanuts"]);
+  assert.deepEqual(tagsOf("harina de maíz").allergens, []);
+});
+
+test("deriveDietaryTags compara palabras completas", () => {
+  assert.deepEqual(tagsOf("Papas", "Panela").allergens, []);
+  assert.deepEqual(tagsOf("Pan integral").allergens, ["gluten"]);
+});
+
+test("deriveDietaryTags decide las dietas compatibles", () => {
+  assert.deepEqual(tagsOf("Tomate", "Lentejas", "Arroz").diets, ["vegetarian", "vegan", "pescatarian", "gluten-free", "dairy-free"]);
+  assert.deepEqual(tagsOf("Pechuga de pollo", "Arroz").diets, ["gluten-free", "dairy-free"]);
+  assert.deepEqual(tagsOf("Salmón", "Queso").diets, ["pescatarian", "gluten-free"]);
+  assert.deepEqual(tagsOf("Yogur", "Miel").diets, ["vegetarian", "pescatarian", "gluten-free"]);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeIcsText, foldIcsLine } from "../ics.js";
+
+test("escapeIcsText escapa barras, puntos y coma, comas y saltos de línea", () => {
+  assert.equal(escapeIcsText("Arroz, pollo; y \\ salsa"), "Arroz\\, pollo\\; y \\\\ salsa");
+  assert.equal(escapeIcsText("Línea 1\r\nLínea 2\nLínea 3"), "Línea 1\\nLínea 2\\nLínea 3");
+});
+
+test("foldIcsLine deja intactas las líneas cortas", () => {
+  assert.equal(foldIcsLine("SUMMARY:Desayuno"), "SUMMARY:Desayuno\r\n");
+});
+
+test("foldIcsLine pliega las líneas largas en trozos de 75 octetos", () => {
+  const line = `DESCRIPTION:${"a".repeat(200)}`;
+  const folded = foldIcsLine(line);
+  const parts = folded.slice(0, -2).split("\r\n");
+
+  assert.ok(folded.endsWith("\r\n"));
+  assert.equal(parts[0].length, 75);
+  parts.slice(1).forEach(part => assert.ok(part.startsWith(" ") && Buffer.byteLength(part) <= 75));
+  assert.equal(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join(""), line);
+});
+
+test("foldIcsLine no parte los caracteres de varios octetos", () => {
+  const line = `SUMMARY:${"ñ".repeat(100)}`;
+  const parts = foldIcsLine(line).slice(0, -2).split("\r\n");
+
+  parts.forEach(part => assert.ok(Buffer.byteLength(part) <= 75));
+  assert.equal(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join(""), line);
+});
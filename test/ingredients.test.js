@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeIngredientKey, singularize } from "../ingredients.js";
+
+test("singularize pasa los plurales regulares a singular", () => {
+  assert.equal(singularize("tomates"), "tomate");
+  assert.equal(singularize("limones"), "limon");
+  assert.equal(singularize("nueces"), "nuez");
+  assert.equal(singularize("papas"), "papa");
+});
+
+test("singularize respeta las palabras cortas y las excepciones", () => {
+  assert.equal(singularize("res"), "res");
+  assert.equal(singularize("gas"), "gas");
+  assert.equal(singularize("dulces"), "dulce");
+  assert.equal(singularize("anis"), "anis");
+  assert.equal(singularize("cuscus"), "cuscus");
+});
+
+test("normalizeIngredientKey unifica mayúsculas, tildes, espacios y plurales", () => {
+  assert.equal(normalizeIngredientKey("Tomates "), "tomate");
+  assert.equal(normalizeIngredientKey("tomáte"), "tomate");
+  assert.equal(normalizeIngredientKey("  Pimientos   Rojos "), "pimiento rojo");
+  assert.equal(normalizeIngredientKey("Limón"), "limon");
+});
+
+test("normalizeIngredientKey no rompe los nombres con excepciones", () => {
+  assert.equal(normalizeIngredientKey("Anís"), "anis");
+  assert.equal(normalizeIngredientKey("Cuscús"), "cuscus");
+  assert.equal(normalizeIngredientKey("dulces de leche"), "dulce de leche");
+});
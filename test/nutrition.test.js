@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeNutrition, sumNutrition } from "../nutrition.js";
+
+const TABLE = [
+  { name: "arroz", protein: 7, carbs: 80, fat: 1, fiber: 1, sugar: 0, sodium: 5, gramsPerCup: 200 },
+  { name: "huevo", protein: 12, carbs: 1, fat: 10, fiber: 0, sugar: 0, sodium: 140, gramsPerUnit: 50 },
+  { name: "leche", protein: 3, carbs: 5, fat: 3, fiber: 0, sugar: 5, sodium: 40 },
+];
+
+test("computeNutrition suma los nutrientes según los gramos de cada ingrediente", () => {
+  const nutrition = computeNutrition([
+    { name: "Arroz", quantity: 100, unit: "g" },
+    { name: "Huevos", quantity: 2, unit: "unidad" },
+  ], TABLE);
+
+  assert.deepEqual(nutrition, { protein: 19, carbs: 81, fat: 11, fiber: 1, sugar: 0, sodium: 145 });
+});
+
+test("computeNutrition convierte las medidas de cocina con la densidad del ingrediente", () => {
+  // Una taza de arroz son 200 g; sin `gramsPerCup`, la leche pesa 1 g/ml (240 g por taza).
+  assert.equal(computeNutrition([{ name: "arroz", quantity: 0.5, unit: "taza" }], TABLE).carbs, 80);
+  assert.equal(computeNutrition([{ name: "leche", quantity: 1, unit: "taza" }], TABLE).protein, 7.2);
+  assert.equal(computeNutrition([{ name: "leche", quantity: 1, unit: "l" }], TABLE).sugar, 50);
+});
+
+test("computeNutrition ignora los ingredientes sin cantidad, sin fila o con unidades imposibles", () => {
+  const nutrition = computeNutrition([
+    { name: "arroz", quantity: 100, unit: "g" },
+    { name: "sal", quantity: 5, unit: "g" },
+    { name: "huevo", quantity: null, unit: null },
+    { name: "arroz", quantity: 1, unit: "unidad" },
+  ], TABLE);
+
+  assert.equal(nutrition.protein, 7);
+  assert.equal(computeNutrition([{ name: "sal", quantity: 5, unit: "g" }], TABLE), null);
+  assert.equal(computeNutrition([], TABLE), null);
+});
+
+test("sumNutrition suma calorías y nutrientes y cuenta los desconocidos como cero", () => {
+  assert.deepEqual(sumNutrition([
+    { kcal: 300, protein: 10.25, carbs: 40, fat: null, fiber: 2, sugar: 1, sodium: 100 },
+    { kcal: 150, protein: 5, carbs: null, fat: 4, fiber: null, sugar: 2, sodium: 50 },
+  ]), { kcal: 450, protein: 15.3, carbs: 40, fat: 4, fiber: 2, sugar: 3, sodium: 150 });
+});
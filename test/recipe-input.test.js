@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { importRecipes, parseRecipeInput } from "../recipe-input.js";
+import { parseIngredientLine } from "../recipe-jsonld.js";
+
+// Nodo schema.org `Recipe` válido con el título indicado.
+const recipeNode = (name) => ({
+  "@type": "Recipe",
+  name,
+  description: "Receta de prueba.",
+  totalTime: "PT20M",
+  recipeYield: "2",
+  nutrition: { calories: "300 kcal" },
+  recipeIngredient: ["2 tomates", "1 cucharada de aceite de oliva"],
+  recipeInstructions: ["Cortar los tomates.", "Aliñar."],
+});
+
+/**
+ * Cliente de Prisma en memoria con lo que usa `importRecipes`. Las escrituras solo se aplican
+ * dentro de `$transaction`, como las operaciones diferidas de Prisma, y se anotan los lotes.
+ */
+const fakeClient = (existingTitles) => {
+  const client = {
+    batches: [],
+    recipe: {
+      findMany: async ({ where }) => existingTitles
+        .map((title, index) => ({ id: index + 1, title }))
+        .filter(recipe => where.title.in.some(title => title.toLowerCase() === recipe.title.toLowerCase())),
+      create: ({ data }) => ({ data }),
+    },
+    ingredientAlias: { findMany: async () => [] },
+    canonicalIngredient: { findMany: async () => [] },
+    ingredientNutrition: { findMany: async () => [] },
+    $transaction: async (operations) => {
+      client.batches.push(operations.map(operation => operation.data));
+      return operations.map((operation, index) => ({ id: 100 + index, title: operation.data.title }));
+    },
+  };
+  return client;
+};
+
+test("parseRecipeInput renumera los pasos según su orden", () => {
+  const { steps } = parseRecipeInput({ steps: [{ description: "Servir", order: 5 }, { description: " Cortar ", order: 2 }] }, true);
+  assert.deepEqual(steps, [{ description: "Cortar", order: 1 }, { description: "Servir", order: 2 }]);
+});
+
+test("parseRecipeInput rechaza unidades desconocidas", () => {
+  const { errors } = parseRecipeInput({ ingredients: [{ name: "arroz", quantity: 1, unit: "puñado" }] }, true);
+  assert.equal(errors.length, 1);
+});
+
+test("parseRecipeInput rechaza un ingrediente importado sin nombre tras la unidad", () => {
+  const { errors } = parseRecipeInput({ ingredients: [parseIngredientLine("1 taza")] }, true);
+  assert.deepEqual(errors, ["Todos los ingredientes deben tener un nombre."]);
+});
+
+test("importRecipes crea todas las recetas válidas en una sola transacción", async () => {
+  const client = fakeClient(["Ensalada"]);
+  const result = await importRecipes(client, 1, [
+    recipeNode("Gazpacho"),
+    recipeNode("ensalada"),
+    { "@type": "Recipe", name: "Sin datos" },
+    recipeNode("GAZPACHO"),
+    recipeNode("Salmorejo"),
+  ]);
+
+  assert.equal(client.batches.length, 1);
+  assert.deepEqual(client.batches[0].map(data => data.title), ["Gazpacho", "Salmorejo"]);
+  assert.ok(client.batches[0].every(data => data.authorId === 1 && data.visibility === "public"));
+  assert.deepEqual(result.created, [{ index: 0, id: 100, title: "Gazpacho" }, { index: 4, id: 101, title: "Salmorejo" }]);
+  assert.deepEqual(result.duplicates, [
+    { index: 1, title: "ensalada", existingId: 1 },
+    { index: 3, title: "GAZPACHO", existingId: 100 },
+  ]);
+  assert.deepEqual(result.invalid.map(item => item.index), [2]);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseIngredientLine, parseIsoDuration, toIsoDuration } from "../recipe-jsonld.js";
+
+test("parseIsoDuration convierte duraciones ISO-8601 en minutos", () => {
+  assert.equal(parseIsoDuration("PT1H30M"), 90);
+  assert.equal(parseIsoDuration("PT45M"), 45);
+  assert.equal(parseIsoDuration("P0DT2H"), 120);
+  assert.equal(parseIsoDuration("P1D"), 1440);
+  assert.equal(parseIsoDuration("pt90s"), 2);
+});
+
+test("parseIsoDuration rechaza los formatos no válidos", () => {
+  assert.equal(parseIsoDuration("P"), null);
+  assert.equal(parseIsoDuration("PT"), null);
+  assert.equal(parseIsoDuration("30 min"), null);
+  assert.equal(parseIsoDuration(undefined), null);
+});
+
+test("toIsoDuration es la inversa de parseIsoDuration", () => {
+  assert.equal(toIsoDuration(90), "PT1H30M");
+  assert.equal(toIsoDuration(120), "PT2H");
+  assert.equal(toIsoDuration(0), "PT0M");
+  assert.equal(parseIsoDuration(toIsoDuration(75)), 75);
+});
+
+test("parseCsv usa la primera fila como cabecera", () => {
+  assert.deepEqual(parseCsv("name,calories\nTortilla,300\nEnsalada,120\n"), [
+    { name: "Tortilla", calories: "300" },
+    { name: "Ensalada", calories: "120" },
+  ]);
+});
+
+test("parseCsv admite comillas, comillas dobladas y saltos de línea en los campos", () => {
+  const csv = 'name,recipeIngredient\r\n"Pasta, al dente","2 tazas de ""macarrones""\n1 tomate"\r\n';
+  assert.deepEqual(parseCsv(csv), [
+    { name: "Pasta, al dente", recipeIngredient: '2 tazas de "macarrones"\n1 tomate' },
+  ]);
+});
+
+test("parseCsv ignora las filas vacías, el BOM y las columnas que faltan", () => {
+  assert.deepEqual(parseCsv("\uFEFFname,image\n\nSopa\n,\n"), [{ name: "Sopa", image: "" }]);
+  assert.deepEqual(parseCsv(""), []);
+});
+
+test("parseIngredientLine separa cantidad, unidad, nombre y notas", () => {
+  assert.deepEqual(parseIngredientLine("2 tazas de arroz, lavado"), { name: "arroz", quantity: 2, unit: "taza", note: "lavado" });
+  assert.deepEqual(parseIngredientLine("3 huevos"), { name: "huevos", quantity: 3, unit: "unidad", note: null });
+  assert.deepEqual(parseIngredientLine("sal (al gusto)"), { name: "sal", quantity: null, unit: null, note: "al gusto" });
+});
+
+test("parseIngredientLine deja sin nombre las líneas sin nada tras la unidad", () => {
+  assert.deepEqual(parseIngredientLine("1 taza"), { name: "", quantity: 1, unit: "taza", note: null });
+  assert.deepEqual(parseIngredientLine("2 cucharadas de"), { name: "", quantity: 2, unit: "cucharada", note: null });
+});
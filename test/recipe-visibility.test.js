@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canViewRecipe, findVisibleRecipesById, visibleRecipesWhere } from "../recipe-visibility.js";
+
+/**
+ * Comprueba si un registro cumple una condición `where` de Prisma. Solo admite lo que usan
+ * estas pruebas: igualdades, `in`, `OR` y `AND`.
+ */
+const matches = (record, where) => Object.entries(where).every(([field, condition]) => {
+  if (field === "OR") {
+    return condition.some(part => matches(record, part));
+  }
+  if (field === "AND") {
+    return condition.every(part => matches(record, part));
+  }
+  if (condition !== null && typeof condition === "object") {
+    return condition.in.includes(record[field]);
+  }
+  return record[field] === condition;
+});
+
+// Cliente de Prisma en memoria con solo `recipe.findMany`.
+const fakeClient = (recipes) => ({
+  recipe: {
+    findMany: async ({ where, select }) => recipes
+      .filter(recipe => matches(recipe, where))
+      .map(recipe => Object.fromEntries(Object.keys(select).map(field => [field, recipe[field]]))),
+  },
+});
+
+test("visibleRecipesWhere muestra las públicas y, con sesión, las del propio usuario", () => {
+  const recipes = [
+    { id: 1, visibility: "public", authorId: 2 },
+    { id: 2, visibility: "private", authorId: 2 },
+    { id: 3, visibility: "unlisted", authorId: 1 },
+  ];
+  const visibleIds = (userId) => recipes.filter(recipe => matches(recipe, visibleRecipesWhere(userId))).map(recipe => recipe.id);
+
+  assert.deepEqual(visibleIds(undefined), [1]);
+  assert.deepEqual(visibleIds(1), [1, 3]);
+  assert.deepEqual(visibleIds(2), [1, 2]);
+});
+
+test("canViewRecipe solo abre por su ID las públicas y las propias", () => {
+  assert.equal(canViewRecipe({ visibility: "public", authorId: 2 }, undefined), true);
+  assert.equal(canViewRecipe({ visibility: "unlisted", authorId: 2 }, 1), false);
+  assert.equal(canViewRecipe({ visibility: "private", authorId: 1 }, 1), true);
+});
+
+test("findVisibleRecipesById deja de devolver una receta cocinada que su autor hizo privada", async () => {
+  const recipes = [
+    { id: 1, title: "Tortilla", visibility: "public", authorId: 2 },
+    { id: 2, title: "Ensalada", visibility: "public", authorId: 2 },
+  ];
+  const client = fakeClient(recipes);
+  const cookedIds = [1, 2];
+
+  assert.deepEqual(await findVisibleRecipesById(client, 1, cookedIds, { id: true, title: true }), [
+    { id: 1, title: "Tortilla" },
+    { id: 2, title: "Ensalada" },
+  ]);
+
+  recipes[1].visibility = "private";
+  assert.deepEqual(await findVisibleRecipesById(client, 1, cookedIds, { id: true, title: true }), [
+    { id: 1, title: "Tortilla" },
+  ]);
+  // Su autor la sigue viendo en sus propias estadísticas.
+  assert.equal((await findVisibleRecipesById(client, 2, cookedIds, { id: true })).length, 2);
+});